@@ -0,0 +1,82 @@
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const { server, gameSessions, GameSession, rateLimiters } = require('../server');
+
+describe('Admin API', () => {
+    let baseUrl;
+
+    beforeAll(done => {
+        server.listen(0, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        gameSessions.clear();
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        gameSessions.clear();
+        Object.values(rateLimiters).forEach(limiter => limiter.reset());
+    });
+
+    function request(method, url, token = 'test-admin-token') {
+        return fetch(`${baseUrl}${url}`, {
+            method,
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+    }
+
+    test('should list sessions without their secrets', async () => {
+        const session = new GameSession('ADM001', 10, 'host-socket');
+        ['Alice', 'Bob'].forEach((name, i) => session.addPlayer(`socket-${i}`, name));
+        session.currentWord = 'apple';
+        session.lobbyEndsAt = Date.now() + 30000;
+        gameSessions.set(session.sessionId, session);
+
+        const response = await request('GET', '/api/admin/sessions');
+        const { sessions } = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(sessions).toEqual([expect.objectContaining({
+            sessionId: 'ADM001',
+            phase: 'lobby',
+            players: 2,
+            connectedPlayers: 2,
+            sockets: 0,
+            sseClients: 0,
+            timer: expect.objectContaining({ paused: false })
+        })]);
+        expect(JSON.stringify(sessions)).not.toMatch(/apple|hostToken|token/);
+    });
+
+    test('should report server-wide counts', async () => {
+        gameSessions.set('ADM002', new GameSession('ADM002', 10, 'host-socket'));
+
+        const stats = await (await request('GET', '/api/admin/stats')).json();
+
+        expect(stats).toEqual(expect.objectContaining({ sessions: 1, sockets: 0, sseClients: 0 }));
+    });
+
+    test('should force-close a session', async () => {
+        gameSessions.set('ADM003', new GameSession('ADM003', 10, 'host-socket'));
+
+        expect((await request('DELETE', '/api/admin/sessions/ADM003')).status).toBe(200);
+        expect(gameSessions.has('ADM003')).toBe(false);
+        expect((await request('DELETE', '/api/admin/sessions/ADM003')).status).toBe(404);
+    });
+
+    test('should reject missing or wrong tokens and lock out repeated failures', async () => {
+        expect((await request('GET', '/api/admin/sessions', null)).status).toBe(401);
+        expect((await request('DELETE', '/api/admin/sessions/ADM004', 'wrong')).status).toBe(401);
+
+        for (let i = 0; i < rateLimiters.adminFailures.limit; i++) {
+            await request('GET', '/api/admin/stats', 'wrong');
+        }
+        const locked = await request('GET', '/api/admin/stats');
+        expect(locked.status).toBe(429);
+        expect(locked.headers.get('retry-after')).toBeTruthy();
+    });
+});
@@ -0,0 +1,63 @@
+const { server, gameSessions, wordList, GameSession } = require('../server');
+
+describe('Round history API', () => {
+    let baseUrl;
+    let session;
+
+    beforeAll(done => {
+        server.listen(0, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        gameSessions.clear();
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        wordList.clear();
+        wordList.set('apple', { category: 'fruit', decoy: null });
+        gameSessions.clear();
+
+        session = new GameSession('HIS123', 10, 'host-socket');
+        const [alice, bob] = ['Alice', 'Bob', 'Carol', 'Dave'].map((name, i) => session.addPlayer(`socket-${i}`, name));
+        session.spies.add(bob.id);
+        session.spyNicknames.add('Bob');
+        session.currentWord = '=apple, "red"';
+        session.roundStartedAt = Date.UTC(2024, 0, 1, 20, 0);
+        session.phase = 'voting';
+        session.castVote(alice.id, bob.id);
+        session.resolveVotes();
+        session.awardPoints();
+        session.recordRound();
+        gameSessions.set(session.sessionId, session);
+    });
+
+    test('should return the rounds as JSON', async () => {
+        const response = await fetch(`${baseUrl}/api/sessions/HIS123/history`);
+        const body = await response.json();
+
+        expect(response.status).toBe(200);
+        expect(body.sessionId).toBe('HIS123');
+        expect(body.rounds).toHaveLength(1);
+        expect(body.rounds[0]).toEqual(expect.objectContaining({ round: 1, spies: ['Bob'], accused: 'Bob', winner: 'civilians' }));
+    });
+
+    test('should export CSV as a download with quoted, formula-safe fields', async () => {
+        const response = await fetch(`${baseUrl}/api/sessions/HIS123/history?format=csv&download=1`);
+        const lines = (await response.text()).trim().split('\r\n');
+
+        expect(response.headers.get('content-type')).toMatch(/^text\/csv/);
+        expect(response.headers.get('content-disposition')).toContain('spy-word-HIS123-history.csv');
+        expect(lines[0]).toBe('round,started_at,ended_at,mode,word,decoy_word,players,spies,votes,accused,spy_caught,spy_guess,spy_guess_correct,winner,awards');
+        expect(lines[1]).toMatch(/^1,2024-01-01T20:00:00\.000Z,[^,]+,classic,"'=apple, ""red""",,/);
+        expect(lines[1]).toContain(',Bob,Alice > Bob,Bob,true,,,civilians,');
+    });
+
+    test('should reject unknown sessions and formats', async () => {
+        expect((await fetch(`${baseUrl}/api/sessions/NOPE00/history`)).status).toBe(404);
+        expect((await fetch(`${baseUrl}/api/sessions/HIS123/history?format=xml`)).status).toBe(400);
+    });
+});
@@ -0,0 +1,252 @@
+process.env.HOST_RECONNECT_GRACE_SECONDS = '1';
+
+const ioClient = require('socket.io-client');
+const { server, gameSessions, wordList, rateLimiters, metrics } = require('../server');
+
+describe('Host events', () => {
+    let baseUrl;
+    let sockets;
+
+    beforeAll(done => {
+        server.listen(0, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        sockets = [];
+        gameSessions.clear();
+        Object.values(rateLimiters).forEach(limiter => limiter.reset());
+        wordList.clear();
+        ['apple', 'banana', 'cherry'].forEach(word => wordList.set(word, { category: 'fruit', decoy: null }));
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.disconnect());
+        for (const session of gameSessions.values()) {
+            ['lobbyTimer', 'gameTimer', 'votingTimer', 'spyGuessTimer', 'hostGraceTimer', 'turnTimer']
+                .forEach(timer => clearTimeout(session[timer]));
+        }
+        gameSessions.clear();
+    });
+
+    async function connect() {
+        const socket = ioClient(baseUrl, { transports: ['websocket'], reconnection: false });
+        sockets.push(socket);
+        await new Promise(resolve => socket.on('connect', resolve));
+        return socket;
+    }
+
+    function next(socket, event) {
+        return new Promise(resolve => socket.once(event, resolve));
+    }
+
+    async function createSession(host) {
+        host.emit('createSession', { duration: 10 });
+        return next(host, 'sessionCreated');
+    }
+
+    // Create the session from one socket and open the host page on another, as index.html does
+    async function openHostPage() {
+        const creator = await connect();
+        const { sessionId, hostToken } = await createSession(creator);
+        const host = await connect();
+        host.emit('joinSessionAsHost', { sessionId, hostToken });
+        await next(host, 'hostJoinedSession');
+        return { host, sessionId, hostToken };
+    }
+
+    async function joinPlayers(sessionId, nicknames) {
+        const players = [];
+        for (const nickname of nicknames) {
+            const socket = await connect();
+            socket.emit('joinSession', { sessionId, nickname });
+            await next(socket, 'joinedSession');
+            players.push(socket);
+        }
+        return players;
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    test('should not start a round with newRound while the lobby is open', async () => {
+        const host = await connect();
+        const { sessionId, hostToken } = await createSession(host);
+        await joinPlayers(sessionId, ['Alice', 'Bob', 'Carol']);
+
+        host.emit('newRound', { sessionId, hostToken });
+
+        expect(await next(host, 'error')).toBe('Unauthorized or invalid session state');
+        const session = gameSessions.get(sessionId);
+        expect(session.phase).toBe('lobby');
+        expect(session.lobbyTimer).not.toBeNull();
+    });
+
+    test('should not restart a round that is already under way with startGame', async () => {
+        const host = await connect();
+        const { sessionId, hostToken } = await createSession(host);
+        await joinPlayers(sessionId, ['Alice', 'Bob', 'Carol', 'Dave']);
+        const session = gameSessions.get(sessionId);
+        host.emit('startGame', { sessionId, hostToken });
+        await next(host, 'gameStarted');
+        const { currentWord, roundStartedAt } = session;
+        const spies = Array.from(session.spies);
+
+        host.emit('startGame', { sessionId, hostToken });
+
+        expect(await next(host, 'error')).toBe('Unauthorized or invalid session state');
+        expect(session.currentWord).toBe(currentWord);
+        expect(Array.from(session.spies)).toEqual(spies);
+        expect(session.roundStartedAt).toBe(roundStartedAt);
+    });
+
+    test('should stop the lobby countdown when a later round starts', async () => {
+        const host = await connect();
+        const { sessionId, hostToken } = await createSession(host);
+        await joinPlayers(sessionId, ['Alice', 'Bob', 'Carol', 'Dave']);
+        const session = gameSessions.get(sessionId);
+
+        host.emit('startGame', { sessionId, hostToken });
+        await next(host, 'gameStarted');
+        session.phase = 'ended';
+        // A stray countdown left over from the lobby must not survive into the next round
+        session.lobbyTimer = setTimeout(() => {}, 60000);
+
+        host.emit('newRound', { sessionId, hostToken });
+        await next(host, 'newRoundStarted');
+
+        expect(session.phase).toBe('game');
+        expect(session.lobbyTimer).toBeNull();
+    });
+
+    describe('Host credential', () => {
+        test('should not let a socket take over as host without the host token', async () => {
+            const host = await connect();
+            const { sessionId } = await createSession(host);
+            const intruder = await connect();
+
+            intruder.emit('joinSessionAsHost', { sessionId });
+            expect(await next(intruder, 'error')).toBe('Unauthorized: missing or invalid host credential');
+            intruder.emit('joinSessionAsHost', { sessionId, hostToken: 'not-the-token' });
+            expect(await next(intruder, 'error')).toBe('Unauthorized: missing or invalid host credential');
+
+            expect(gameSessions.get(sessionId).host).toBe(host.id);
+        });
+
+        test('should reject host-only events without the host token', async () => {
+            const host = await connect();
+            const { sessionId } = await createSession(host);
+            await joinPlayers(sessionId, ['Alice', 'Bob', 'Carol', 'Dave']);
+
+            host.emit('startGame', { sessionId });
+            expect(await next(host, 'error')).toBe('Unauthorized or session not found');
+            host.emit('startGame', { sessionId, hostToken: 'not-the-token' });
+            expect(await next(host, 'error')).toBe('Unauthorized or session not found');
+            host.emit('extendLobby', { sessionId });
+            expect(await next(host, 'error')).toBe('Unauthorized or invalid session state');
+
+            expect(gameSessions.get(sessionId).phase).toBe('lobby');
+        });
+
+        test('should reject the host token from a socket that is not the host', async () => {
+            const host = await connect();
+            const { sessionId, hostToken } = await createSession(host);
+            await joinPlayers(sessionId, ['Alice', 'Bob', 'Carol', 'Dave']);
+            const intruder = await connect();
+
+            intruder.emit('startGame', { sessionId, hostToken });
+
+            expect(await next(intruder, 'error')).toBe('Unauthorized or session not found');
+            expect(gameSessions.get(sessionId).phase).toBe('lobby');
+        });
+    });
+
+    describe('Host reconnect grace window', () => {
+        test('should keep the session and its game timer running while the host is away', async () => {
+            const { host, sessionId, hostToken } = await openHostPage();
+            const [alice] = await joinPlayers(sessionId, ['Alice', 'Bob', 'Carol', 'Dave']);
+            const session = gameSessions.get(sessionId);
+            host.emit('startGame', { sessionId, hostToken });
+            await next(host, 'gameStarted');
+            host.emit('startTimer', { sessionId, hostToken });
+            await next(host, 'timerStarted');
+            const { gameTimer, gameEndsAt } = session;
+
+            host.disconnect();
+
+            expect(await next(alice, 'hostDisconnected')).toEqual({ graceSeconds: 1 });
+            expect(gameSessions.get(sessionId)).toBe(session);
+            expect(session.hostConnected).toBe(false);
+            expect(session.hostGraceTimer).not.toBeNull();
+            expect(session.gameTimer).toBe(gameTimer);
+            expect(session.gameEndsAt).toBe(gameEndsAt);
+            expect(session.isTimerPaused()).toBe(false);
+        });
+
+        test('should cancel the teardown when the host reconnects in time', async () => {
+            const { host, sessionId, hostToken } = await openHostPage();
+            const [alice] = await joinPlayers(sessionId, ['Alice']);
+            const session = gameSessions.get(sessionId);
+
+            host.disconnect();
+            await next(alice, 'hostDisconnected');
+            const newHost = await connect();
+            newHost.emit('joinSessionAsHost', { sessionId, hostToken });
+            await next(newHost, 'hostJoinedSession');
+
+            expect(session.hostConnected).toBe(true);
+            expect(session.hostGraceTimer).toBeNull();
+            await wait(1200);
+            expect(gameSessions.get(sessionId)).toBe(session);
+        });
+
+        test('should abort the session when the host misses the window', async () => {
+            const { host, sessionId } = await openHostPage();
+            const [alice] = await joinPlayers(sessionId, ['Alice']);
+            const abortedBefore = metrics.gamesAborted.get('host_gone') || 0;
+
+            host.disconnect();
+
+            expect(await next(alice, 'gameAborted')).toEqual(expect.objectContaining({ reason: 'The host did not reconnect' }));
+            expect(gameSessions.has(sessionId)).toBe(false);
+            expect(metrics.gamesAborted.get('host_gone')).toBe(abortedBefore + 1);
+        });
+
+        test('should tell players who join while the host is away', async () => {
+            const { host, sessionId } = await openHostPage();
+            await joinPlayers(sessionId, ['Alice']);
+            host.disconnect();
+            await wait(100);
+
+            const bob = await connect();
+            const notice = next(bob, 'hostDisconnected');
+            bob.emit('joinSession', { sessionId, nickname: 'Bob' });
+
+            expect(await notice).toEqual({ graceSeconds: 1 });
+        });
+
+        test('should not treat the page that created the session as the host leaving', async () => {
+            const creator = await connect();
+            const { sessionId } = await createSession(creator);
+            const [alice] = await joinPlayers(sessionId, ['Alice']);
+            const disconnectsBefore = metrics.hostDisconnects;
+            const announced = jest.fn();
+            alice.on('hostDisconnected', announced);
+
+            creator.disconnect();
+            await wait(100);
+
+            expect(metrics.hostDisconnects).toBe(disconnectsBefore);
+            expect(announced).not.toHaveBeenCalled();
+            // The host page still has the grace window to arrive
+            expect(gameSessions.get(sessionId).hostGraceTimer).not.toBeNull();
+        });
+    });
+});
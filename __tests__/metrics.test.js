@@ -0,0 +1,78 @@
+const ioClient = require('socket.io-client');
+const { server, gameSessions, wordList, GameSession, rateLimiters } = require('../server');
+
+describe('Metrics endpoint', () => {
+    let baseUrl;
+
+    beforeAll(done => {
+        server.listen(0, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        gameSessions.clear();
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        gameSessions.clear();
+        Object.values(rateLimiters).forEach(limiter => limiter.reset());
+    });
+
+    async function scrape() {
+        const response = await fetch(`${baseUrl}/metrics`);
+        expect(response.headers.get('content-type')).toMatch(/^text\/plain/);
+        return response.text();
+    }
+
+    test('should report sessions by phase and the word list size', async () => {
+        wordList.clear();
+        ['apple', 'banana'].forEach(word => wordList.set(word, { category: 'fruit', decoy: null }));
+        gameSessions.set('MET001', new GameSession('MET001', 10, 'host-socket'));
+        const playing = new GameSession('MET002', 10, 'host-socket');
+        playing.phase = 'game';
+        gameSessions.set('MET002', playing);
+
+        const body = await scrape();
+
+        expect(body).toContain('# TYPE spyword_sessions gauge');
+        expect(body).toContain('spyword_sessions{phase="lobby"} 1');
+        expect(body).toContain('spyword_sessions{phase="game"} 1');
+        expect(body).toContain('spyword_sessions{phase="voting"} 0');
+        expect(body).toContain('spyword_words 2');
+        expect(body).toMatch(/^spyword_sse_clients 0$/m);
+    });
+
+    test('should count sockets and failed joins by reason', async () => {
+        const socket = ioClient(baseUrl, { transports: ['websocket'] });
+        await new Promise(resolve => socket.on('connect', resolve));
+
+        socket.emit('joinSession', { sessionId: 'NOPE00', nickname: 'Alice' });
+        await new Promise(resolve => socket.once('error', resolve));
+        const body = await scrape();
+        socket.disconnect();
+
+        expect(body).toContain('spyword_sockets_connected 1');
+        expect(body).toContain('spyword_join_failures_total{reason="session_not_found"} 1');
+        expect(body).toContain('# TYPE spyword_rounds_started_total counter');
+    });
+
+    test('should count every join to a missing session towards the join lockout', async () => {
+        const socket = ioClient(baseUrl, { transports: ['websocket'] });
+        await new Promise(resolve => socket.on('connect', resolve));
+
+        // A made-up player token must not buy a guesser a way around the lockout
+        for (let i = 0; i < rateLimiters.joinFailures.limit; i++) {
+            socket.emit('joinSession', { sessionId: 'GONE00', nickname: 'Alice', playerToken: 'x' });
+            await new Promise(resolve => socket.once('error', resolve));
+        }
+        socket.emit('joinSession', { sessionId: 'GONE00', nickname: 'Alice', playerToken: 'x' });
+        const message = await new Promise(resolve => socket.once('error', resolve));
+        socket.disconnect();
+
+        expect(message).not.toBe('Session not found');
+        expect(message).toMatch(/too many/i);
+    });
+});
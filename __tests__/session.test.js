@@ -0,0 +1,870 @@
+const { GameSession, RateLimiter, logger, wordList } = require('../server');
+
+// Seat Alice, Bob, Carol and Dave on socket-0 to socket-3; returns the players in that order
+function addPlayers(session) {
+    return ['Alice', 'Bob', 'Carol', 'Dave'].map((name, i) => session.addPlayer(`socket-${i}`, name));
+}
+
+describe('GameSession', () => {
+    let session;
+
+    beforeEach(() => {
+        wordList.clear();
+        ['apple', 'banana', 'cherry'].forEach(word => wordList.set(word, { category: 'fruit', decoy: null }));
+        session = new GameSession('ABC123', 10, 'host-socket');
+    });
+
+    describe('Host credential', () => {
+        test('should issue a private host token per session', () => {
+            const other = new GameSession('DEF456', 10, 'other-host');
+
+            expect(session.hostToken).toMatch(/^[a-f0-9]{32}$/);
+            expect(session.hostToken).not.toBe(other.hostToken);
+            expect(session.hostToken).not.toContain(session.sessionId);
+        });
+    });
+
+    describe('Player identity tokens', () => {
+        test('should issue a token and id to each new player', () => {
+            const player = session.addPlayer('socket-1', 'Alice');
+
+            expect(player.token).toMatch(/^[a-f0-9]{32}$/);
+            expect(player.id).toBeTruthy();
+            expect(session.players.get(player.id)).toBe(player);
+        });
+
+        test('should keep role and word when a player reconnects after registration closed', () => {
+            const players = addPlayers(session);
+            session.registrationOpen = false;
+            session.selectSpies();
+            session.selectRandomWord();
+
+            const [alice] = players;
+            const roleBefore = session.getRolePayload(alice.id);
+
+            session.disconnectPlayer('socket-0');
+            expect(alice.connected).toBe(false);
+            expect(session.players.has(alice.id)).toBe(true);
+
+            const rejoined = session.reconnectPlayer(alice.token, 'socket-new');
+            expect(rejoined).toBe(alice);
+            expect(rejoined.socketId).toBe('socket-new');
+            expect(session.getRolePayload(alice.id)).toEqual(roleBefore);
+        });
+
+        test('should reject unknown tokens', () => {
+            session.addPlayer('socket-1', 'Alice');
+
+            expect(session.reconnectPlayer('not-a-token', 'socket-2')).toBeNull();
+            expect(session.reconnectPlayer(undefined, 'socket-2')).toBeNull();
+        });
+
+        test('should not let a new player take a connected nickname', () => {
+            session.addPlayer('socket-1', 'Alice');
+
+            expect(() => session.addPlayer('socket-2', 'alice')).toThrow('Nickname already taken');
+        });
+
+        test('should only allow nickname takeover of a dropped player while registration is open', () => {
+            const alice = session.addPlayer('socket-1', 'Alice');
+            session.disconnectPlayer('socket-1');
+
+            session.registrationOpen = false;
+            expect(() => session.addPlayer('socket-2', 'Alice')).toThrow('Nickname already taken');
+
+            session.registrationOpen = true;
+            expect(session.addPlayer('socket-2', 'Alice')).toBe(alice);
+        });
+
+        test('should issue a new token when a seat is taken back by nickname', () => {
+            const alice = session.addPlayer('socket-1', 'Alice');
+            const oldToken = alice.token;
+            session.disconnectPlayer('socket-1');
+
+            expect(session.addPlayer('socket-2', 'Alice').token).not.toBe(oldToken);
+            session.disconnectPlayer('socket-2');
+            expect(session.reconnectPlayer(oldToken, 'socket-3')).toBeNull();
+            expect(session.reconnectPlayer(alice.token, 'socket-3')).toBe(alice);
+        });
+    });
+
+    describe('Voting', () => {
+        let alice, bob, carol, dave;
+
+        beforeEach(() => {
+            [alice, bob, carol, dave] = addPlayers(session);
+            session.spies.add(bob.id);
+            session.startVoting(60);
+        });
+
+        test('should allow exactly one vote per player', () => {
+            session.castVote(alice.id, bob.id);
+
+            expect(() => session.castVote(alice.id, carol.id)).toThrow('You have already voted');
+            expect(() => session.castVote(carol.id, carol.id)).toThrow('You cannot vote for yourself');
+        });
+
+        test('should reject votes outside the voting phase', () => {
+            session.phase = 'game';
+
+            expect(() => session.castVote(alice.id, bob.id)).toThrow('Voting is not open');
+        });
+
+        test('should accuse the single most-voted player', () => {
+            session.castVote(alice.id, bob.id);
+            session.castVote(carol.id, bob.id);
+            session.castVote(bob.id, dave.id);
+
+            const result = session.resolveVotes();
+            expect(result.accused).toBe('Bob');
+            expect(result.spyCaught).toBe(true);
+            expect(result.counts[0]).toEqual({ id: bob.id, nickname: 'Bob', votes: 2 });
+        });
+
+        test('should accuse nobody on a tie', () => {
+            session.castVote(alice.id, bob.id);
+            session.castVote(bob.id, alice.id);
+
+            const result = session.resolveVotes();
+            expect(result.accused).toBeNull();
+            expect(result.spyCaught).toBe(false);
+        });
+
+        test('should not wait for disconnected players', () => {
+            session.disconnectPlayer('socket-3');
+            session.castVote(alice.id, bob.id);
+            session.castVote(bob.id, alice.id);
+            expect(session.hasEveryoneVoted()).toBe(false);
+
+            session.castVote(carol.id, bob.id);
+            expect(session.hasEveryoneVoted()).toBe(true);
+        });
+    });
+
+    describe('Spy word guess', () => {
+        let civilian, spy;
+
+        beforeEach(() => {
+            [civilian, spy] = addPlayers(session);
+            session.spies.add(spy.id);
+            session.currentWord = 'کلاه قرمزی';
+            session.phase = 'game';
+        });
+
+        test('should match guesses ignoring case, Arabic letter variants and spacing', () => {
+            const result = session.submitSpyGuess(spy.id, '  كلاه   قرمزي ');
+
+            expect(result.correct).toBe(true);
+            expect(session.getWinner()).toBe('spies');
+        });
+
+        test('should give the round to civilians on a wrong guess', () => {
+            expect(session.submitSpyGuess(spy.id, 'پارک').correct).toBe(false);
+            expect(session.getWinner()).toBe('civilians');
+        });
+
+        test('should allow only one guess, and only from spies', () => {
+            expect(() => session.submitSpyGuess(civilian.id, 'پارک')).toThrow('Only spies can guess the word');
+
+            session.submitSpyGuess(spy.id, 'پارک');
+            expect(() => session.submitSpyGuess(spy.id, 'کلاه قرمزی')).toThrow('The spies have already guessed');
+        });
+
+        test('should respect the per-session setting', () => {
+            session.allowSpyGuess = false;
+
+            expect(() => session.submitSpyGuess(spy.id, 'کلاه قرمزی')).toThrow('Spy guesses are disabled for this session');
+        });
+    });
+
+    describe('Scoring', () => {
+        let alice, bob, carol, dave;
+
+        beforeEach(() => {
+            session = new GameSession('ABC123', 10, 'host-socket', { points: { spySurvive: 5 } });
+            [alice, bob, carol, dave] = addPlayers(session);
+            session.spies.add(bob.id);
+            session.currentWord = 'apple';
+        });
+
+        test('should reward civilians when the spy is caught', () => {
+            session.roundResult = { accused: 'Bob', spyCaught: true };
+            session.awardPoints();
+
+            expect([alice.score, bob.score, carol.score, dave.score]).toEqual([1, 0, 1, 1]);
+        });
+
+        test('should use the session points table when spies survive', () => {
+            session.roundResult = { accused: 'Alice', spyCaught: false };
+            session.awardPoints();
+
+            expect(bob.score).toBe(5);
+            expect(alice.score).toBe(0);
+        });
+
+        test('should reward only the guessing spy for a correct guess and keep scores across rounds', () => {
+            session.phase = 'game';
+            session.submitSpyGuess(bob.id, 'Apple');
+            session.awardPoints();
+            session.spyGuess = null;
+            session.roundResult = { accused: 'Bob', spyCaught: true };
+            session.awardPoints();
+
+            expect(bob.score).toBe(3);
+            expect(session.getLeaderboard()[0]).toEqual({ nickname: 'Bob', score: 3 });
+            expect(session.getLeaderboard()[1]).toEqual({ nickname: 'Alice', score: 1 });
+        });
+    });
+
+    describe('Round history', () => {
+        let alice, bob, carol, dave;
+
+        beforeEach(() => {
+            [alice, bob, carol, dave] = addPlayers(session);
+            session.spies.add(bob.id);
+            session.spyNicknames.add('Bob');
+            session.currentWord = 'apple';
+            session.roundStartedAt = 1000;
+        });
+
+        function finishRound(votes) {
+            session.phase = 'voting';
+            votes.forEach(([voter, target]) => session.castVote(voter.id, target.id));
+            session.resolveVotes();
+            session.awardPoints();
+            return session.recordRound();
+        }
+
+        test('should record the word, roles, votes and outcome of each round in order', () => {
+            finishRound([[alice, bob], [carol, bob], [dave, alice]]);
+
+            session.currentWord = 'banana';
+            session.spies = new Set([alice.id]);
+            session.spyNicknames = new Set(['Alice']);
+            session.votes.clear();
+            const second = finishRound([[bob, carol]]);
+
+            expect(session.history.map(round => round.round)).toEqual([1, 2]);
+            expect(session.history[0]).toEqual(expect.objectContaining({
+                startedAt: 1000,
+                word: 'apple',
+                spies: ['Bob'],
+                accused: 'Bob',
+                spyCaught: true,
+                winner: 'civilians'
+            }));
+            expect(session.history[0].votes).toContainEqual({ voter: 'Dave', accused: 'Alice' });
+            expect(session.history[0].players).toContainEqual({ nickname: 'Bob', spy: true, score: 0 });
+            expect(second).toEqual(expect.objectContaining({ word: 'banana', spies: ['Alice'], winner: 'spies' }));
+            expect(second.endedAt).toBeGreaterThanOrEqual(second.startedAt);
+        });
+
+        test('should survive a restore', () => {
+            finishRound([[alice, bob]]);
+
+            const restored = GameSession.fromJSON(JSON.parse(JSON.stringify(session)));
+
+            expect(restored.history).toEqual(session.history);
+        });
+    });
+
+    describe('Word categories', () => {
+        beforeEach(() => {
+            ['paris', 'tehran'].forEach(word => wordList.set(word, { category: 'cities', decoy: null }));
+        });
+
+        test('should draw only from the selected categories', () => {
+            session = new GameSession('ABC123', 10, 'host-socket', { categories: ['cities'] });
+
+            for (let i = 0; i < 10; i++) {
+                expect(['paris', 'tehran']).toContain(session.selectRandomWord());
+            }
+        });
+
+        test('should draw from every category when none are selected', () => {
+            const drawn = new Set();
+            for (let i = 0; i < 100; i++) {
+                drawn.add(session.selectRandomWord());
+            }
+
+            expect(drawn.has('apple') || drawn.has('banana') || drawn.has('cherry')).toBe(true);
+            expect(drawn.has('paris') || drawn.has('tehran')).toBe(true);
+        });
+
+        test('should fail when the selected categories have no words', () => {
+            session = new GameSession('ABC123', 10, 'host-socket', { categories: ['food'] });
+
+            expect(() => session.selectRandomWord()).toThrow('No words available');
+        });
+    });
+
+    describe('Persistence', () => {
+        let alice, bob;
+
+        beforeEach(() => {
+            [alice, bob] = addPlayers(session);
+            session.registrationOpen = false;
+            session.spies.add(bob.id);
+            session.spyNicknames.add('Bob');
+            session.currentWord = 'apple';
+            session.phase = 'game';
+            alice.score = 4;
+        });
+
+        function restore() {
+            return GameSession.fromJSON(JSON.parse(JSON.stringify(session)));
+        }
+
+        test('should restore players, roles, word and scores with everyone disconnected', () => {
+            const restored = restore();
+
+            expect(restored.hostToken).toBe(session.hostToken);
+            expect(restored.getRolePayload(bob.id)).toEqual(session.getRolePayload(bob.id));
+            expect(restored.getRolePayload(alice.id)).toEqual({ role: 'civilian', word: 'apple' });
+            expect(restored.players.get(alice.id)).toMatchObject({ nickname: 'Alice', score: 4, connected: false, socketId: null });
+            expect(restored.hostConnected).toBe(false);
+        });
+
+        test('should let players rejoin a restored session with their token', () => {
+            const restored = restore();
+
+            expect(restored.reconnectPlayer(alice.token, 'socket-new').id).toBe(alice.id);
+        });
+
+        test('should keep the time left on the game timer', () => {
+            session.startGameTimer();
+            session.gameEndsAt -= 60 * 1000; // One minute into a ten minute game
+            const restored = restore();
+
+            const remaining = restored.getGameTimeRemaining();
+            expect(remaining).toBeGreaterThan(8.9 * 60 * 1000);
+            expect(remaining).toBeLessThanOrEqual(9 * 60 * 1000);
+        });
+
+        test('should keep a paused timer paused', () => {
+            session.startGameTimer();
+            session.pauseGameTimer();
+            const restored = restore();
+
+            expect(restored.isTimerPaused()).toBe(true);
+            expect(restored.getGameTimeRemaining()).toBe(session.pausedRemaining);
+            expect(restored.gameEndsAt).toBeNull();
+        });
+
+        test('should restore votes cast so far', () => {
+            session.startVoting(60);
+            session.castVote(alice.id, bob.id);
+            const restored = restore();
+
+            expect(restored.phase).toBe('voting');
+            expect(() => restored.castVote(alice.id, bob.id)).toThrow('You have already voted');
+        });
+    });
+
+    describe('Lobby countdown', () => {
+        test('should add time while the lobby is open', () => {
+            const endsAt = session.openLobby(90);
+
+            expect(session.extendLobby(30)).toBe(endsAt + 30 * 1000);
+            expect(session.registrationOpen).toBe(true);
+        });
+
+        test('should close registration when the lobby closes', () => {
+            session.openLobby(90);
+            session.closeLobby();
+
+            expect(session.lobbyEndsAt).toBeNull();
+            expect(() => session.addPlayer('socket-1', 'Alice')).toThrow('Registration is closed');
+        });
+
+        test('should reopen registration for the extension once closed', () => {
+            session.closeLobby();
+            const endsAt = session.extendLobby(30);
+
+            expect(session.registrationOpen).toBe(true);
+            expect(endsAt - Date.now()).toBeGreaterThan(29 * 1000);
+            expect(endsAt - Date.now()).toBeLessThanOrEqual(30 * 1000);
+            expect(session.addPlayer('socket-1', 'Alice').nickname).toBe('Alice');
+        });
+
+        test('should keep the time left on the lobby across a restart', () => {
+            session.openLobby(60);
+            const restored = GameSession.fromJSON(JSON.parse(JSON.stringify(session)));
+
+            expect(restored.lobbyEndsAt - Date.now()).toBeGreaterThan(59 * 1000);
+        });
+    });
+
+    describe('Spy count', () => {
+        function addPlayers(count) {
+            for (let i = 0; i < count; i++) {
+                session.addPlayer(`socket-${i}`, `Player ${i}`);
+            }
+        }
+
+        test('should default to one spy per three players', () => {
+            expect([3, 4, 6, 9, 12].map(count => session.getSpyCount(count))).toEqual([1, 1, 2, 3, 4]);
+        });
+
+        test('should use a fixed spy count when configured', () => {
+            session = new GameSession('ABC123', 10, 'host-socket', { spyCount: 2 });
+            addPlayers(7);
+            session.selectSpies();
+
+            expect(session.spies.size).toBe(2);
+        });
+
+        test('should use a configured spy ratio', () => {
+            session = new GameSession('ABC123', 10, 'host-socket', { spyRatio: 0.25 });
+
+            expect(session.getSpyCount(8)).toBe(2);
+            expect(session.getSpyCount(4)).toBe(1);
+        });
+
+        test('should refuse to start when spies would not be outnumbered', () => {
+            session = new GameSession('ABC123', 10, 'host-socket', { spyCount: 2 });
+            addPlayers(4);
+
+            expect(() => session.selectSpies()).toThrow('Too many spies: 2 spies need at least 5 players');
+            expect(session.spies.size).toBe(0);
+        });
+    });
+
+    describe('Undercover mode', () => {
+        let civilian, spy;
+
+        beforeEach(() => {
+            wordList.clear();
+            wordList.set('قلعه', { category: 'places', decoy: 'کاخ' });
+            wordList.set('پارک', { category: 'places', decoy: null });
+            session = new GameSession('ABC123', 10, 'host-socket', { mode: 'undercover' });
+            [civilian, spy] = addPlayers(session);
+            session.spies.add(spy.id);
+            session.selectRandomWord();
+        });
+
+        test('should only draw words that have a decoy', () => {
+            expect(session.currentWord).toBe('قلعه');
+            expect(session.decoyWord).toBe('کاخ');
+        });
+
+        test('should give spies the decoy in a payload shaped like everyone else\'s', () => {
+            const spyPayload = session.getRolePayload(spy.id);
+            const civilianPayload = session.getRolePayload(civilian.id);
+
+            expect(spyPayload).toEqual({ role: 'player', word: 'کاخ' });
+            expect(civilianPayload).toEqual({ role: 'player', word: 'قلعه' });
+            expect(Object.keys(spyPayload)).toEqual(Object.keys(civilianPayload));
+        });
+
+        test('should not answer mid-game guesses in a way that reveals roles', () => {
+            session.phase = 'game';
+
+            expect(() => session.submitSpyGuess(civilian.id, 'کاخ')).toThrow('You cannot guess the word right now');
+            expect(() => session.submitSpyGuess(spy.id, 'قلعه')).toThrow('You cannot guess the word right now');
+        });
+
+        test('should fail clearly when no word pairs are available', () => {
+            wordList.delete('قلعه');
+
+            expect(() => session.selectRandomWord()).toThrow('No word pairs available for undercover mode');
+        });
+    });
+
+    describe('Turn-based clues', () => {
+        let players;
+
+        beforeEach(() => {
+            session = new GameSession('ABC123', 10, 'host-socket', { turnSeconds: 30 });
+            players = addPlayers(session);
+        });
+
+        test('should give every player one turn per lap in a shuffled order', () => {
+            const speakers = [session.startTurns()];
+            for (let i = 0; i < 3; i++) {
+                speakers.push(session.advanceTurn());
+            }
+
+            expect(new Set(speakers.map(player => player.id)).size).toBe(4);
+            expect(session.advanceTurn()).toBe(speakers[0]);
+            expect(session.turnNumber).toBe(5);
+        });
+
+        test('should skip disconnected players and players who left', () => {
+            session.startTurns();
+            const order = session.turnOrder.map(id => session.players.get(id));
+            session.disconnectPlayer(order[1].socketId);
+            session.removePlayer(order[2].id);
+
+            expect(session.advanceTurn()).toBe(order[3]);
+            expect(session.getTurnPayload().order).toHaveLength(3);
+        });
+
+        test('should still hand out turns when nobody is connected', () => {
+            session.startTurns();
+            players.forEach(player => session.disconnectPlayer(player.socketId));
+
+            expect(session.advanceTurn()).toBeTruthy();
+        });
+
+        test('should stop when no players are left', () => {
+            session.startTurns();
+            players.forEach(player => session.removePlayer(player.id));
+
+            expect(session.advanceTurn()).toBeNull();
+            expect(session.turnIndex).toBe(-1);
+        });
+    });
+
+    describe('Pausing and adjusting the timer', () => {
+        beforeEach(() => {
+            jest.useFakeTimers({ now: 1000000 });
+            session.phase = 'game';
+            session.startGameTimer();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should hold the remaining time while paused', () => {
+            jest.advanceTimersByTime(60 * 1000);
+            expect(session.pauseGameTimer()).toBe(9 * 60 * 1000);
+
+            jest.advanceTimersByTime(5 * 60 * 1000);
+            expect(session.getTimerPayload()).toEqual({ endsAt: null, remaining: 540, paused: true });
+
+            session.resumeGameTimer();
+            expect(session.gameEndsAt).toBe(Date.now() + 9 * 60 * 1000);
+        });
+
+        test('should give the current speaker their remaining turn time back', () => {
+            session.turnEndsAt = Date.now() + 20 * 1000;
+            jest.advanceTimersByTime(5 * 1000);
+            session.pauseGameTimer();
+
+            expect(session.turnEndsAt).toBeNull();
+            expect(session.resumeGameTimer()).toBe(15 * 1000);
+        });
+
+        test('should reject pausing twice or resuming a running timer', () => {
+            expect(() => session.resumeGameTimer()).toThrow('The timer is not paused');
+            session.pauseGameTimer();
+            expect(() => session.pauseGameTimer()).toThrow('The timer is already paused');
+        });
+
+        test('should move the end time and never below zero', () => {
+            session.adjustGameTimer(120);
+            expect(session.gameEndsAt).toBe(Date.now() + 12 * 60 * 1000);
+
+            expect(session.adjustGameTimer(-600)).toBe(2 * 60 * 1000);
+            expect(session.adjustGameTimer(-600)).toBe(0);
+
+            session.pauseGameTimer();
+            expect(session.adjustGameTimer(60)).toBe(60 * 1000);
+        });
+
+        test('should send the timer state with the server time in sync ticks', () => {
+            session.pauseGameTimer();
+
+            expect(session.hasActiveCountdown()).toBe(true);
+            expect(session.getTimerSyncPayload()).toEqual({
+                serverTime: Date.now(),
+                phase: 'game',
+                game: { endsAt: null, remaining: 600, paused: true }
+            });
+        });
+
+        test('should not send sync ticks without a running countdown', () => {
+            const fresh = new GameSession('XYZ789', 10, 'host-socket');
+            expect(fresh.hasActiveCountdown()).toBe(false);
+
+            fresh.openLobby(90);
+            expect(fresh.hasActiveCountdown()).toBe(true);
+
+            fresh.closeLobby();
+            fresh.phase = 'game';
+            expect(fresh.hasActiveCountdown()).toBe(false);
+        });
+
+        test('should refuse to pause before the timer has started', () => {
+            const fresh = new GameSession('XYZ789', 10, 'host-socket');
+
+            expect(() => fresh.pauseGameTimer()).toThrow('The timer is not running');
+            expect(() => fresh.adjustGameTimer(60)).toThrow('The timer is not running');
+        });
+    });
+
+    describe('Kicking and banning', () => {
+        let alice, bob;
+
+        beforeEach(() => {
+            [alice, bob] = addPlayers(session);
+        });
+
+        test('should remove a kicked player and their vote but let them join again', () => {
+            session.startVoting(60);
+            session.castVote(bob.id, alice.id);
+            session.kickPlayer(bob.id);
+
+            expect(session.players.has(bob.id)).toBe(false);
+            expect(session.votes.has(bob.id)).toBe(false);
+            expect(session.isBanned('Bob', bob.token)).toBe(false);
+        });
+
+        test('should keep a banned nickname and token out', () => {
+            session.banPlayer(bob.id);
+
+            expect(session.isBanned(' BOB ', null)).toBe(true);
+            expect(session.isBanned('Robert', bob.token)).toBe(true);
+            expect(session.isBanned('Robert', alice.token)).toBe(false);
+        });
+
+        test('should keep bans across a restart', () => {
+            session.banPlayer(bob.id);
+            const restored = GameSession.fromJSON(JSON.parse(JSON.stringify(session)));
+
+            expect(restored.isBanned('bob', null)).toBe(true);
+            expect(restored.isBanned(null, bob.token)).toBe(true);
+        });
+
+        test('should reject unknown players', () => {
+            expect(() => session.kickPlayer('nobody')).toThrow('Player not found');
+        });
+    });
+
+    describe('Spectators', () => {
+        beforeEach(() => {
+            addPlayers(session);
+            session.registrationOpen = false;
+        });
+
+        test('should join after registration closes without becoming a player', () => {
+            const spectator = session.addSpectator('socket-watch', 'Eve');
+
+            expect(session.players.has(spectator.id)).toBe(false);
+            expect(session.getSpectatorList()).toEqual([{ id: spectator.id, nickname: 'Eve', connected: true, promote: false }]);
+            expect(session.getSpyCount()).toBe(1);
+        });
+
+        test('should share the nickname space with players', () => {
+            session.addSpectator('socket-watch', 'Eve');
+
+            expect(() => session.addSpectator('socket-x', 'alice')).toThrow('Nickname already taken');
+            expect(() => session.addSpectator('socket-x', 'EVE')).toThrow('Nickname already taken');
+            session.registrationOpen = true;
+            expect(() => session.addPlayer('socket-x', 'Eve')).toThrow('Nickname already taken');
+        });
+
+        test('should only promote spectators the host picked, keeping their token', () => {
+            const eve = session.addSpectator('socket-eve', 'Eve');
+            session.addSpectator('socket-frank', 'Frank');
+            session.setSpectatorPromotion(eve.id, true);
+
+            const [promoted] = session.promoteSpectators();
+
+            expect(promoted).toMatchObject({ id: eve.id, token: eve.token, nickname: 'Eve', score: 0 });
+            expect(session.players.size).toBe(5);
+            expect(session.spectators.size).toBe(1);
+            expect(session.reconnectPlayer(eve.token, 'socket-new').id).toBe(eve.id);
+        });
+
+        test('should rejoin with their token and survive a restart', () => {
+            const eve = session.addSpectator('socket-eve', 'Eve');
+            const restored = GameSession.fromJSON(JSON.parse(JSON.stringify(session)));
+
+            expect(restored.reconnectPlayer(eve.token, 'socket-new')).toBeNull();
+            expect(restored.reconnectSpectator(eve.token, 'socket-new').nickname).toBe('Eve');
+        });
+    });
+
+    describe('Host plays', () => {
+        test('should give the host a seat, a role and a vote like everyone else', () => {
+            const host = session.addPlayer('host-socket', 'Hana');
+            ['Alice', 'Bob', 'Carol'].forEach((name, i) => session.addPlayer(`socket-${i}`, name));
+            session.currentWord = 'apple';
+
+            expect(session.getHostPlayer()).toBe(host);
+            expect(session.getRolePayload(host.id)).toEqual({ role: 'civilian', word: 'apple' });
+
+            session.startVoting(60);
+            session.castVote(host.id, session.getPlayerBySocket('socket-0').id);
+            expect(session.votes.has(host.id)).toBe(true);
+        });
+
+        test('should not let the host be kicked from their own game', () => {
+            const host = session.addPlayer('host-socket', 'Hana');
+
+            expect(() => session.kickPlayer(host.id)).toThrow('The host cannot be removed');
+        });
+
+        test('should have no host seat by default', () => {
+            session.addPlayer('socket-0', 'Alice');
+
+            expect(session.getHostPlayer()).toBeNull();
+        });
+    });
+
+    describe('Session expiry', () => {
+        const idleMs = 30 * 60 * 1000;
+        const maxAgeMs = 12 * 60 * 60 * 1000;
+
+        test('should keep a session that was used recently', () => {
+            expect(session.getExpiryReason(idleMs, maxAgeMs)).toBeNull();
+        });
+
+        test('should expire a session left idle', () => {
+            const later = Date.now() + idleMs + 1000;
+
+            expect(session.getExpiryReason(idleMs, maxAgeMs, later)).toBe('The session expired after a period of inactivity');
+        });
+
+        test('should expire an old session even while it is in use', () => {
+            const later = Date.now() + maxAgeMs + 1000;
+            session.lastActivity = later;
+
+            expect(session.getExpiryReason(idleMs, maxAgeMs, later)).toBe('The session reached its maximum age');
+        });
+
+        test('should keep its age and activity across a restart', () => {
+            session.createdAt -= 5000;
+            session.lastActivity -= 1000;
+            const restored = GameSession.fromJSON(JSON.parse(JSON.stringify(session)));
+
+            expect(restored.createdAt).toBe(session.createdAt);
+            expect(restored.lastActivity).toBe(session.lastActivity);
+        });
+    });
+
+    describe('Nickname rules', () => {
+        test('should store the normalized nickname', () => {
+            const player = session.addPlayer('socket-1', '  Sara \t  Ali ');
+            const persian = session.addPlayer('socket-2', 'علي كريم\u200B');
+
+            expect(player.nickname).toBe('Sara Ali');
+            expect(persian.nickname).toBe('علی کریم');
+        });
+
+        test('should reject long, empty and markup nicknames', () => {
+            expect(() => session.addPlayer('socket-1', 'a'.repeat(500))).toThrow('Nickname must be 20 characters or less');
+            expect(() => session.addPlayer('socket-1', ' \u200B ')).toThrow('Nickname is required');
+            expect(() => session.addPlayer('socket-1', '<b>Bob</b>')).toThrow('Nickname contains invalid characters');
+            expect(() => session.addSpectator('socket-1', { nickname: 'Bob' })).toThrow('Nickname is required');
+            expect(session.players.size).toBe(0);
+        });
+
+        test('should reject look-alike nicknames as duplicates', () => {
+            session.addPlayer('socket-1', 'Bill');
+            session.addPlayer('socket-2', 'علی');
+
+            ['BiII', 'B i l l', 'Bíll'].forEach((nickname, i) => {
+                expect(() => session.addPlayer(`socket-${i + 3}`, nickname)).toThrow('Nickname already taken');
+            });
+            expect(() => session.addSpectator('socket-9', 'علي')).toThrow('Nickname already taken');
+            expect(() => session.addPlayer('socket-9', '\u0410lice')).toThrow('Nickname contains invalid characters');
+        });
+
+        test('should keep look-alikes of a banned nickname out', () => {
+            const player = session.addPlayer('socket-1', 'Mallory');
+            session.banPlayer(player.id);
+
+            expect(session.isBanned('MaIIory')).toBe(true);
+            expect(session.isBanned('Ma11ory')).toBe(true);
+            expect(session.isBanned('Alice')).toBe(false);
+        });
+
+        test('should ignore case in duplicate and ban checks', () => {
+            session.addPlayer('socket-1', 'Ali');
+            expect(() => session.addPlayer('socket-2', 'ALI')).toThrow('Nickname already taken');
+
+            const sina = session.addPlayer('socket-3', 'SINA');
+            session.banPlayer(sina.id);
+            expect(session.isBanned('Sina')).toBe(true);
+            expect(session.isBanned('sina')).toBe(true);
+        });
+    });
+});
+
+describe('RateLimiter', () => {
+    test('should allow the budget per window and then refuse until it resets', () => {
+        const limiter = new RateLimiter(2, 60000);
+
+        expect(limiter.consume('1.2.3.4', 0)).toBe(true);
+        expect(limiter.consume('1.2.3.4', 1000)).toBe(true);
+        expect(limiter.consume('1.2.3.4', 2000)).toBe(false);
+        expect(limiter.retryAfter('1.2.3.4', 2000)).toBe(58);
+
+        // Other keys have their own budget
+        expect(limiter.consume('5.6.7.8', 2000)).toBe(true);
+
+        expect(limiter.consume('1.2.3.4', 60000)).toBe(true);
+    });
+
+    test('should report a lockout without counting a hit', () => {
+        const limiter = new RateLimiter(2, 60000);
+
+        limiter.consume('ip', 0);
+        expect(limiter.isLimited('ip', 0)).toBe(false);
+        limiter.consume('ip', 0);
+        expect(limiter.isLimited('ip', 0)).toBe(true);
+        expect(limiter.isLimited('ip', 0)).toBe(true);
+        expect(limiter.isLimited('ip', 60000)).toBe(false);
+    });
+
+    test('should prune finished windows', () => {
+        const limiter = new RateLimiter(1, 1000);
+        limiter.consume('old', 0);
+        limiter.consume('new', 900);
+
+        limiter.prune(1000);
+
+        expect([...limiter.hits.keys()]).toEqual(['new']);
+    });
+});
+
+describe('Logger', () => {
+    let output;
+
+    beforeEach(() => {
+        output = [];
+        jest.spyOn(console, 'log').mockImplementation(line => output.push(['log', line]));
+        jest.spyOn(console, 'error').mockImplementation(line => output.push(['error', line]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should write one JSON line per entry with its fields', () => {
+        logger.info('Session created', { sessionId: 'ABC123', socketId: 'socket-1', skipped: undefined });
+
+        const [[stream, line]] = output;
+        const entry = JSON.parse(line);
+        expect(stream).toBe('log');
+        expect(entry).toEqual({ time: expect.any(String), level: 'info', message: 'Session created', sessionId: 'ABC123', socketId: 'socket-1' });
+    });
+
+    test('should redact secret words and spy identities', () => {
+        logger.info('Game started', { sessionId: 'ABC123', word: 'apple', decoyWord: 'pear', spies: ['Bob'], role: 'spy' });
+
+        const entry = JSON.parse(output[0][1]);
+        expect(entry).toEqual(expect.objectContaining({
+            sessionId: 'ABC123',
+            word: '[redacted]',
+            decoyWord: '[redacted]',
+            spies: '[redacted]',
+            role: '[redacted]'
+        }));
+        expect(output[0][1]).not.toMatch(/apple|pear|Bob/);
+    });
+
+    test('should skip levels below the configured one and send errors to stderr', () => {
+        logger.debug('Socket connected', { socketId: 'socket-1' });
+        logger.error('Failed to save sessions', { error: new Error('disk full') });
+
+        expect(output).toHaveLength(1);
+        const [stream, line] = output[0];
+        expect(stream).toBe('error');
+        expect(JSON.parse(line).error.message).toBe('disk full');
+    });
+});
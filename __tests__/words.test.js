@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const wordFile = path.join(os.tmpdir(), `spy-words-${process.pid}.csv`);
+process.env.WORD_LIST_FILE = wordFile;
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const { server, wordList, loadWords, rateLimiters } = require('../server');
+
+describe('Word list API', () => {
+    let baseUrl;
+
+    beforeAll(done => {
+        server.listen(0, () => {
+            baseUrl = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        fs.rmSync(wordFile, { force: true });
+        server.close(done);
+    });
+
+    beforeEach(async () => {
+        fs.writeFileSync(wordFile, 'apple,food\nbanana,food\nparis,places\nكلاه,objects');
+        await loadWords();
+        Object.values(rateLimiters).forEach(limiter => limiter.reset());
+    });
+
+    function request(method, url, body, token = 'test-admin-token') {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        return fetch(`${baseUrl}${url}`, {
+            method,
+            headers,
+            body: body && JSON.stringify(body)
+        });
+    }
+
+    test('should paginate and filter the list', async () => {
+        const response = await request('GET', '/api/words?page=2&limit=2');
+        const body = await response.json();
+
+        expect(body.total).toBe(4);
+        expect(body.pages).toBe(2);
+        expect(body.words).toEqual([
+            { word: 'paris', category: 'places' },
+            { word: 'كلاه', category: 'objects' }
+        ]);
+
+        const filtered = await (await request('GET', '/api/words?category=food&search=NAN')).json();
+        expect(filtered.words).toEqual([{ word: 'banana', category: 'food' }]);
+    });
+
+    test('should match searches across Persian and Arabic letter variants', async () => {
+        const body = await (await request('GET', `/api/words?search=${encodeURIComponent('کلاه')}`)).json();
+
+        expect(body.words).toEqual([{ word: 'كلاه', category: 'objects' }]);
+    });
+
+    test('should add a word to memory and the file', async () => {
+        const response = await request('POST', '/api/words', { word: ' cherry ', category: 'Food' });
+
+        expect(response.status).toBe(201);
+        expect(wordList.get('cherry').category).toBe('food');
+        expect(fs.readFileSync(wordFile, 'utf8').split('\n')).toContain('cherry,food');
+    });
+
+    test('should store an undercover decoy in the third column', async () => {
+        await request('POST', '/api/words', { word: 'castle', category: 'places', decoy: 'palace' });
+        expect(fs.readFileSync(wordFile, 'utf8').split('\n')).toContain('castle,places,palace');
+
+        await request('PUT', '/api/words/castle', { decoy: null });
+        expect(wordList.get('castle')).toEqual({ category: 'places', decoy: null });
+        expect((await request('PUT', '/api/words/paris', { decoy: 'PARIS' })).status).toBe(400);
+    });
+
+    test('should keep decoys out of the public list', async () => {
+        await request('POST', '/api/words', { word: 'castle', category: 'places', decoy: 'palace' });
+
+        const body = await (await request('GET', '/api/words?search=castle')).json();
+
+        expect(body.words).toEqual([{ word: 'castle', category: 'places' }]);
+        expect(JSON.stringify(body)).not.toContain('palace');
+    });
+
+    test('should reject duplicates and values that would break the CSV', async () => {
+        expect((await request('POST', '/api/words', { word: 'Apple' })).status).toBe(409);
+        expect((await request('POST', '/api/words', { word: 'a,b' })).status).toBe(400);
+        expect((await request('POST', '/api/words', { word: 'pear', category: 'x\ny' })).status).toBe(400);
+    });
+
+    test('should rename a word in place and change its category', async () => {
+        const response = await request('PUT', '/api/words/banana', { word: 'mango', category: 'fruit' });
+
+        expect(response.status).toBe(200);
+        expect(wordList.has('banana')).toBe(false);
+        expect(fs.readFileSync(wordFile, 'utf8')).toBe('apple,food\nmango,fruit\nparis,places\nكلاه,objects');
+    });
+
+    test('should not rename a word onto another one', async () => {
+        const response = await request('PUT', '/api/words/banana', { word: 'APPLE' });
+
+        expect(response.status).toBe(409);
+        expect(wordList.get('banana').category).toBe('food');
+    });
+
+    test('should delete a word', async () => {
+        expect((await request('DELETE', '/api/words/paris')).status).toBe(200);
+        expect((await request('DELETE', '/api/words/paris')).status).toBe(404);
+
+        expect(wordList.has('paris')).toBe(false);
+        expect(fs.readFileSync(wordFile, 'utf8')).not.toContain('paris');
+        expect(fs.readdirSync(os.tmpdir()).filter(name => name.startsWith(`spy-words-${process.pid}.csv.`))).toEqual([]);
+    });
+
+    test('should only let the admin rename or delete words', async () => {
+        expect((await request('PUT', '/api/words/banana', { word: 'mango' }, null)).status).toBe(401);
+        expect((await request('DELETE', '/api/words/paris', undefined, 'wrong-token')).status).toBe(401);
+
+        expect(wordList.has('banana')).toBe(true);
+        expect(wordList.has('paris')).toBe(true);
+        // Adding words stays open, as it always was
+        expect((await request('POST', '/api/words', { word: 'cherry' }, null)).status).toBe(201);
+    });
+
+    test('should answer 429 once an IP exceeds its word write budget', async () => {
+        const { limit } = rateLimiters.wordWrites;
+        for (let i = 0; i < limit; i++) {
+            expect((await request('POST', '/api/add-word', { word: `word${i}` })).status).toBe(201);
+        }
+
+        const response = await request('POST', '/api/add-word', { word: 'one-too-many' });
+        expect(response.status).toBe(429);
+        expect(Number(response.headers.get('retry-after'))).toBeGreaterThan(0);
+        expect((await response.json()).error).toMatch(/too many/i);
+        expect(wordList.has('one-too-many')).toBe(false);
+
+        // Reads have their own, larger budget
+        expect((await request('GET', '/api/words')).status).toBe(200);
+    });
+});
@@ -0,0 +1,66 @@
+// Nickname rules shared by the browser pages and the server (required from server.js),
+// so both sides accept, display and compare nicknames the same way
+
+const NicknameUtils = {
+    MAX_LENGTH: 20,
+
+    // Canonical form of a nickname: NFC, Persian yeh/kaf for their Arabic look-alikes,
+    // no invisible characters and single spaces between words
+    normalize(nickname) {
+        if (typeof nickname !== 'string') {
+            return '';
+        }
+
+        return nickname
+            .normalize('NFC')
+            .replace(/[\u064A\u0649]/g, '\u06CC') // Arabic yeh / alef maksura -> Persian yeh
+            .replace(/\u0643/g, '\u06A9') // Arabic kaf -> Persian kaf
+            .replace(/[\u0000-\u001F\u007F-\u009F\u200B\u200D-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g, '') // Controls, zero-width and bidi marks
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    // Error message for an unusable nickname, or null. Checks the normalized form.
+    validate(nickname) {
+        const normalized = this.normalize(nickname);
+        if (!normalized) {
+            return 'Nickname is required';
+        }
+
+        if (Array.from(normalized).length > this.MAX_LENGTH) {
+            return `Nickname must be ${this.MAX_LENGTH} characters or less`;
+        }
+
+        // Latin letters (with accents), Persian/Arabic script, digits, spaces and the zero-width non-joiner
+        if (!/^[a-zA-Z0-9 \u00C0-\u00D6\u00D8-\u00F6\u00F8-\u017F\u0600-\u06FF\u200C]+$/.test(normalized)) {
+            return 'Nickname contains invalid characters';
+        }
+
+        return null;
+    },
+
+    // Key for duplicate and ban checks: nicknames that look alike share a key. Case, accents,
+    // spacing, Arabic letter variants and diacritics are ignored, and characters that are easy
+    // to mistake for each other (I/l/1, O/0, rn/m, vv/w) are folded together. Case is folded
+    // first, so i, I, l and 1 all share a key whatever the capitalization.
+    comparisonKey(nickname) {
+        return this.normalize(nickname)
+            .normalize('NFKD')
+            .toLowerCase()
+            .replace(/[\u0300-\u036F\u064B-\u065F\u0670\u0640]/g, '') // Diacritics and tatweel
+            .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+            .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+            .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627') // Alef variants -> alef
+            .replace(/\u0624/g, '\u0648') // Waw with hamza -> waw
+            .replace(/[\u0629\u06C0\u06C1\u06D5]/g, '\u0647') // Teh marbuta / heh variants -> heh
+            .replace(/[ \u200C]/g, '')
+            .replace(/[i1]/g, 'l')
+            .replace(/0/g, 'o')
+            .replace(/rn/g, 'm')
+            .replace(/vv/g, 'w');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NicknameUtils;
+}
@@ -9,22 +9,9 @@ const GameUtils = {
         return `${minutes}:${secs.toString().padStart(2, '0')}`;
     },
 
-    // Validate nickname
+    // Validate nickname with the rules the server applies (nickname.js)
     validateNickname(nickname) {
-        if (!nickname || !nickname.trim()) {
-            return 'Nickname is required';
-        }
-        
-        if (nickname.trim().length > 20) {
-            return 'Nickname must be 20 characters or less';
-        }
-        
-        // Check for invalid characters
-        if (!/^[a-zA-Z0-9\s\u00C0-\u017F\u0600-\u06FF]+$/.test(nickname.trim())) {
-            return 'Nickname contains invalid characters';
-        }
-        
-        return null;
+        return NicknameUtils.validate(nickname);
     },
 
     // Sanitize text input
@@ -44,11 +31,6 @@ const GameUtils = {
         return `${count} players`;
     },
 
-    // Calculate spy count based on total players
-    calculateSpyCount(totalPlayers) {
-        return Math.max(Math.floor(totalPlayers / 3), 1);
-    },
-
     // Check if device is mobile
     isMobile() {
         return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -286,6 +268,26 @@ const UIUtils = {
         }
     },
 
+    // Render a [{nickname, score}] leaderboard as an ordered list
+    renderLeaderboard(elementId, leaderboard) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        element.innerHTML = '';
+        leaderboard.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'player-item';
+            item.textContent = entry.nickname;
+
+            const score = document.createElement('span');
+            score.className = 'vote-count';
+            score.textContent = `${entry.score} pts`;
+            item.appendChild(score);
+
+            element.appendChild(item);
+        });
+    },
+
     setLoading(elementId, loading = true) {
         const element = document.getElementById(elementId);
         if (!element) return;
@@ -339,6 +341,61 @@ const ConnectionUtils = {
     }
 };
 
+// Server clock estimate, so every countdown runs off the server's time instead of the device's
+const ClockSync = {
+    offset: 0, // ms to add to Date.now() to get the server time
+    rtt: Infinity, // Round trip of the sample the offset came from
+    socket: null,
+
+    // Handshake over ping/pong now, on every reconnect, when the page comes back to the foreground and every 30 seconds
+    start(socket) {
+        this.socket = socket;
+        socket.on('pong', (data) => this.handlePong(data));
+        socket.on('connect', () => this.sync());
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.sync();
+            }
+        });
+        setInterval(() => this.sync(), 30000);
+        this.sync();
+    },
+
+    sync() {
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('ping', { clientTime: Date.now() });
+        }
+    },
+
+    handlePong(data) {
+        if (!data || !data.clientTime) {
+            return;
+        }
+
+        const now = Date.now();
+        const rtt = now - data.clientTime;
+        // A slow round trip makes a poor estimate; keep the previous one unless it was slower
+        if (rtt > 2000 && rtt > this.rtt) {
+            return;
+        }
+
+        this.rtt = rtt;
+        this.offset = data.serverTime + rtt / 2 - now;
+    },
+
+    // A sync tick carries the server time; redo the handshake if the estimate is well off
+    // (the device clock changed or the tab was asleep)
+    check(serverTime) {
+        if (Math.abs(serverTime - this.now()) > 1000) {
+            this.sync();
+        }
+    },
+
+    now() {
+        return Date.now() + this.offset;
+    }
+};
+
 // Initialize utilities when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     ConnectionUtils.initialize();
@@ -354,6 +411,7 @@ if (typeof module !== 'undefined' && module.exports) {
         NotificationUtils,
         StorageUtils,
         UIUtils,
-        ConnectionUtils
+        ConnectionUtils,
+        ClockSync
     };
 }
\ No newline at end of file
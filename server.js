@@ -6,163 +6,1806 @@ const fs = require('fs');
 const csv = require('csv-parser');
 const crypto = require('crypto');
 const QRCode = require('qrcode');
+const NicknameUtils = require('./public/nickname');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
 const PORT = process.env.PORT || 3000;
+const WORD_LIST_FILE = process.env.WORD_LIST_FILE || 'word_list.csv';
+const SESSION_STORE_FILE = process.env.SESSION_STORE_FILE || 'sessions.json';
+const SESSION_SNAPSHOT_INTERVAL_SECONDS = parseInt(process.env.SESSION_SNAPSHOT_INTERVAL_SECONDS, 10) || 5;
+const SESSION_IDLE_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES, 10) || 30;
+const SESSION_MAX_AGE_HOURS = parseInt(process.env.SESSION_MAX_AGE_HOURS, 10) || 12;
+const SESSION_SWEEP_INTERVAL_SECONDS = parseInt(process.env.SESSION_SWEEP_INTERVAL_SECONDS, 10) || 60;
+const TIMER_SYNC_INTERVAL_SECONDS = parseInt(process.env.TIMER_SYNC_INTERVAL_SECONDS, 10) || 5;
+const HOST_RECONNECT_GRACE_SECONDS = parseInt(process.env.HOST_RECONNECT_GRACE_SECONDS, 10) || 60;
+const LOBBY_DURATION_SECONDS = parseInt(process.env.LOBBY_DURATION_SECONDS, 10) || 90;
+const LOBBY_EXTENSION_SECONDS = 30;
+const MIN_PLAYERS = 4;
+const DEFAULT_SPY_RATIO = 1 / 3; // One spy per three players (at least one)
+const VOTING_DURATION_SECONDS = parseInt(process.env.VOTING_DURATION_SECONDS, 10) || 60;
+const SPY_GUESS_DURATION_SECONDS = parseInt(process.env.SPY_GUESS_DURATION_SECONDS, 10) || 30;
+// Abuse protection budgets. Players at one party often share a public IP, so per-IP budgets are generous.
+const RATE_LIMIT_API_PER_MINUTE = parseInt(process.env.RATE_LIMIT_API_PER_MINUTE, 10) || 300;
+const RATE_LIMIT_WORD_WRITES_PER_MINUTE = parseInt(process.env.RATE_LIMIT_WORD_WRITES_PER_MINUTE, 10) || 20;
+const RATE_LIMIT_SESSIONS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_SESSIONS_PER_MINUTE, 10) || 10;
+const RATE_LIMIT_SOCKET_EVENTS_PER_MINUTE = parseInt(process.env.RATE_LIMIT_SOCKET_EVENTS_PER_MINUTE, 10) || 240;
+const JOIN_FAILURE_LIMIT = parseInt(process.env.JOIN_FAILURE_LIMIT, 10) || 20;
+const JOIN_LOCKOUT_MINUTES = parseInt(process.env.JOIN_LOCKOUT_MINUTES, 10) || 15;
+// Set when the server runs behind one reverse proxy, so client addresses come from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY === '1';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null; // Enables /admin and /api/admin when set
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = process.env.LOG_LEVEL in LOG_LEVELS ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+// Debug only: log secret words and spy identities instead of redacting them
+const LOG_SECRETS = process.env.LOG_SECRETS === 'true' || process.env.LOG_SECRETS === '1';
+const SECRET_LOG_FIELDS = new Set(['word', 'decoyWord', 'spies', 'spy', 'role']);
+
+// Structured logger: one line per event with a level, a fixed message and fields such as
+// sessionId and socketId. Secret fields are redacted unless LOG_SECRETS is set.
+const logger = {
+    log(level, message, fields = {}) {
+        if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, message };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === undefined) {
+                continue;
+            }
+            if (SECRET_LOG_FIELDS.has(key) && !LOG_SECRETS) {
+                entry[key] = '[redacted]';
+            } else {
+                entry[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+            }
+        }
+
+        const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatLogLine(entry);
+        if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    },
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    },
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    },
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    },
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+};
+
+// LOG_FORMAT=text: "<time> INFO Session created sessionId=ABC123 duration=10", easier to read locally
+function formatLogLine({ time, level, message, ...fields }) {
+    const pairs = Object.entries(fields).map(([key, value]) =>
+        `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    return [time, level.toUpperCase(), message, ...pairs].join(' ');
+}
+
+// Points awarded at the end of each round (overridable per session)
+const DEFAULT_POINTS = {
+    civilianCatch: 1, // Each civilian, when the spies are caught
+    spySurvive: 2, // Each spy, when they escape the vote
+    spyGuess: 3 // The spy who names the secret word
+};
+
+// Game state storage
+const gameSessions = new Map();
+const wordList = new Map(); // word -> {category, decoy}; decoy is the undercover spies' word, or null
+const DEFAULT_CATEGORY = 'general'; // For CSV rows without a category column
+
+// Load words from CSV file
+function loadWords() {
+    return new Promise((resolve, reject) => {
+        const words = new Map();
+        fs.createReadStream(WORD_LIST_FILE)
+            .pipe(csv({ headers: false }))
+            .on('data', (row) => {
+                // Columns: word, category, decoy (category and decoy may be left empty)
+                const [word, category, decoy] = Object.values(row);
+                if (word && word.trim()) {
+                    const trimmedWord = word.trim().replace(/,$/, '');
+                    if (!words.has(trimmedWord)) {
+                        words.set(trimmedWord, {
+                            category: normalizeCategory(category),
+                            decoy: (decoy || '').trim() || null
+                        });
+                    }
+                }
+            })
+            .on('end', () => {
+                wordList.clear();
+                words.forEach((entry, word) => wordList.set(word, entry));
+                logger.info('Word list loaded', { words: wordList.size, file: WORD_LIST_FILE });
+                resolve(words);
+            })
+            .on('error', reject);
+    });
+}
+
+function normalizeCategory(category) {
+    return (category || '').trim().toLowerCase() || DEFAULT_CATEGORY;
+}
+
+// Validate a word, category or decoy from the API; returns an error message or null
+function validateWordField(value, label) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return `${label} is required`;
+    }
+    if (/[,"\r\n]/.test(value)) {
+        return `${label} cannot contain commas, quotes or line breaks`;
+    }
+    if (value.trim().length > 50) {
+        return `${label} must be 50 characters or less`;
+    }
+    return null;
+}
+
+// A decoy must be a valid field and differ from the word it stands in for
+function validateDecoy(word, decoy) {
+    const error = validateWordField(decoy, 'Decoy');
+    if (error) {
+        return error;
+    }
+    if (normalizeForComparison(decoy) === normalizeForComparison(word)) {
+        return 'Decoy must be different from the word';
+    }
+    return null;
+}
+
+// Find the stored spelling of a word, ignoring case and Persian/Arabic letter variants
+function findWord(word) {
+    const target = normalizeForComparison(word);
+    for (const existing of wordList.keys()) {
+        if (normalizeForComparison(existing) === target) {
+            return existing;
+        }
+    }
+    return null;
+}
+
+// Replace a file by writing a temp copy and renaming it, so a crash never leaves it half-written
+function writeFileAtomic(file, contents) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, contents);
+    fs.renameSync(tempFile, file);
+}
+
+// Write the word list to disk and then swap it into memory
+function saveWords(words) {
+    const lines = Array.from(words, ([word, { category, decoy }]) => (decoy ? `${word},${category},${decoy}` : `${word},${category}`));
+    writeFileAtomic(WORD_LIST_FILE, lines.join('\n'));
+
+    wordList.clear();
+    words.forEach((entry, word) => wordList.set(word, entry));
+}
+
+// Word and word-pair counts per category, for the host setup form
+function getCategories() {
+    const counts = new Map();
+    wordList.forEach(({ category, decoy }) => {
+        const count = counts.get(category) || { name: category, count: 0, pairs: 0 };
+        count.count++;
+        if (decoy) {
+            count.pairs++;
+        }
+        counts.set(category, count);
+    });
+    return Array.from(counts.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Generate secure random session ID
+function generateSessionId() {
+    return crypto.randomBytes(3).toString('hex').toUpperCase();
+}
+
+// Generate secure random selection
+function getSecureRandom(max) {
+    const randomBuffer = crypto.randomBytes(4);
+    const randomInt = randomBuffer.readUInt32BE(0);
+    return randomInt % max;
+}
+
+// Shuffle array using secure randomization
+function secureshuffle(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = getSecureRandom(i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Normalize free text for comparison: Unicode form, case, Persian/Arabic letter variants,
+// digits, diacritics and spacing (including zero-width non-joiners) are all ignored
+function normalizeForComparison(text) {
+    return String(text)
+        .normalize('NFKD')
+        .toLowerCase()
+        .replace(/[\u0300-\u036F\u064B-\u065F\u0670\u0640]/g, '') // Diacritics and tatweel
+        .replace(/[\u064A\u0649]/g, '\u06CC') // Arabic yeh / alef maksura -> Persian yeh
+        .replace(/\u0643/g, '\u06A9') // Arabic kaf -> Persian kaf
+        .replace(/[\u06F0-\u06F9]/g, d => String(d.charCodeAt(0) - 0x06F0))
+        .replace(/[\u0660-\u0669]/g, d => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[\s\u200B-\u200D\uFEFF]+/g, '');
+}
+
+// Generate an opaque secret token (player rejoin and host credentials)
+function generateToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Compare secret tokens in constant time
+function tokensMatch(expected, provided) {
+    if (typeof expected !== 'string' || typeof provided !== 'string') {
+        return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    return expectedBuffer.length === providedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+}
+
+// Fixed-window hit counter per key (a client IP or socket id)
+class RateLimiter {
+    constructor(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.hits = new Map(); // key -> {count, resetAt}
+    }
+
+    // Count a hit; false once the key has used up its budget for the current window
+    consume(key, now = Date.now()) {
+        let entry = this.hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + this.windowMs };
+            this.hits.set(key, entry);
+        }
+        entry.count++;
+        return entry.count <= this.limit;
+    }
+
+    // Whether the key is over budget, without counting a hit
+    isLimited(key, now = Date.now()) {
+        const entry = this.hits.get(key);
+        return Boolean(entry && entry.resetAt > now && entry.count >= this.limit);
+    }
+
+    // Whole seconds until the key's window resets
+    retryAfter(key, now = Date.now()) {
+        const entry = this.hits.get(key);
+        return entry ? Math.max(0, Math.ceil((entry.resetAt - now) / 1000)) : 0;
+    }
+
+    reset(key) {
+        if (key === undefined) {
+            this.hits.clear();
+        } else {
+            this.hits.delete(key);
+        }
+    }
+
+    // Drop finished windows so keys from past clients don't pile up
+    prune(now = Date.now()) {
+        for (const [key, entry] of this.hits) {
+            if (entry.resetAt <= now) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+const rateLimiters = {
+    api: new RateLimiter(RATE_LIMIT_API_PER_MINUTE, 60 * 1000), // per IP
+    wordWrites: new RateLimiter(RATE_LIMIT_WORD_WRITES_PER_MINUTE, 60 * 1000), // per IP
+    sessions: new RateLimiter(RATE_LIMIT_SESSIONS_PER_MINUTE, 60 * 1000), // per IP
+    socketEvents: new RateLimiter(RATE_LIMIT_SOCKET_EVENTS_PER_MINUTE, 60 * 1000), // per socket
+    joinFailures: new RateLimiter(JOIN_FAILURE_LIMIT, JOIN_LOCKOUT_MINUTES * 60 * 1000), // per IP, unknown session IDs
+    adminFailures: new RateLimiter(10, 15 * 60 * 1000) // per IP, wrong admin tokens
+};
+
+// Client address of a socket; behind a trusted proxy it is the last X-Forwarded-For entry,
+// the one the proxy itself appended, matching Express' req.ip with 'trust proxy' set to 1
+function getSocketIp(socket) {
+    const forwarded = TRUST_PROXY && socket.handshake.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',').pop().trim() : socket.handshake.address;
+}
+
+// Error for an IP locked out after guessing session IDs, or null
+function getJoinLockoutError(ip) {
+    if (!rateLimiters.joinFailures.isLimited(ip)) {
+        return null;
+    }
+    const minutes = Math.ceil(rateLimiters.joinFailures.retryAfter(ip) / 60);
+    return `Too many attempts to join unknown sessions. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+// Tell a socket why joinSession failed and count it for /metrics
+function rejectJoin(socket, reason, message) {
+    countMetric(metrics.joinFailures, reason);
+    socket.emit('error', message);
+}
+
+// Metric label for an error thrown by addPlayer/addSpectator
+function getJoinFailureReason(message) {
+    if (message === 'Nickname already taken') {
+        return 'nickname_taken';
+    }
+    if (message === 'Registration is closed') {
+        return 'registration_closed';
+    }
+    return 'invalid_nickname';
+}
+
+// Express middleware answering 429 once a client IP exceeds the limiter's budget
+function rateLimit(limiter, message) {
+    return (req, res, next) => {
+        if (limiter.consume(req.ip)) {
+            return next();
+        }
+        res.set('Retry-After', String(limiter.retryAfter(req.ip)));
+        res.status(429).json({ error: message });
+    };
+}
+
+const limitWordWrites = rateLimit(rateLimiters.wordWrites, 'Too many word list changes, please try again later');
+
+// Admin routes (and word list edits) need `Authorization: Bearer <ADMIN_TOKEN>` and are switched off when ADMIN_TOKEN is unset.
+// Wrong tokens count towards a per-IP lockout.
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).json({ error: 'Admin access is not enabled' });
+    }
+    if (rateLimiters.adminFailures.isLimited(req.ip)) {
+        res.set('Retry-After', String(rateLimiters.adminFailures.retryAfter(req.ip)));
+        return res.status(429).json({ error: 'Too many failed admin logins, please try again later' });
+    }
+
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+    if (!tokensMatch(ADMIN_TOKEN, token)) {
+        rateLimiters.adminFailures.consume(req.ip);
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+    next();
+}
+
+// Counters for /metrics since the server started. Gauges (sessions, sockets, SSE clients,
+// words) are read from live state when the endpoint is scraped.
+const metrics = {
+    roundsStarted: 0,
+    hostDisconnects: 0,
+    gamesAborted: new Map(), // cause -> count
+    joinFailures: new Map() // reason -> count
+};
+
+function countMetric(counter, label) {
+    counter.set(label, (counter.get(label) || 0) + 1);
+}
+
+// Game session class
+class GameSession {
+    constructor(sessionId, duration, host, options = {}) {
+        this.sessionId = sessionId;
+        this.duration = duration; // in minutes
+        this.host = host;
+        this.allowSpyGuess = options.allowSpyGuess !== false; // Spies may try to name the word
+        this.points = { ...DEFAULT_POINTS, ...options.points };
+        this.categories = options.categories || []; // Word categories to draw from; empty means all
+        this.spyCount = options.spyCount || null; // Fixed number of spies, or...
+        this.spyRatio = options.spyRatio || null; // ...spies per player (DEFAULT_SPY_RATIO when neither is set)
+        this.mode = options.mode || 'classic'; // 'classic': spies get no word; 'undercover': spies get a decoy word
+        this.turnSeconds = options.turnSeconds || 0; // Seconds per speaker in turn-based rounds; 0 = freeform discussion
+        this.hostToken = generateToken(); // Private credential required by host-only events
+        this.players = new Map(); // playerId -> {id, token, nickname, socketId, connected, isHost}
+        this.spectators = new Map(); // spectatorId -> {id, token, nickname, socketId, connected, promote}
+        this.allPlayerNicknames = new Set(); // All nicknames that have joined (persistent)
+        this.bannedNicknames = new Set(); // Nickname comparison keys the host has banned
+        this.bannedTokens = new Set(); // Player tokens the host has banned
+        this.spies = new Set(); // playerId set for spies
+        this.spyNicknames = new Set(); // Persistent spy nicknames (survives disconnections)
+        this.currentWord = null;
+        this.decoyWord = null; // Undercover mode: the related word the spies are dealt
+        this.previousWord = null;
+        this.phase = 'lobby'; // lobby, game, voting, ended
+        this.gameTimer = null;
+        this.gameStartTime = null;
+        this.gameEndsAt = null; // Authoritative end of the discussion timer while it runs
+        this.pausedRemaining = null; // ms left on the discussion timer while the host has it paused
+        this.turnPausedRemaining = null; // ms left for the current speaker when the timer was paused
+        this.turnOrder = []; // playerIds in speaking order for this round
+        this.turnIndex = -1; // Position of the current speaker in turnOrder
+        this.turnNumber = 0; // Turns taken so far this round
+        this.turnTimer = null;
+        this.turnEndsAt = null;
+        this.votes = new Map(); // voterId -> accused playerId
+        this.votingTimer = null;
+        this.votingEndsAt = null;
+        this.spyGuess = null; // {playerId, nickname, guess, correct} once a spy has guessed this round
+        this.spyGuessTimer = null;
+        this.spyGuessEndsAt = null;
+        this.roundResult = null; // Vote outcome of the last finished round
+        this.lastAwards = []; // Points handed out when the last round ended
+        this.roundStartedAt = null; // When the current round's roles were dealt
+        this.history = []; // Finished rounds, oldest first (see recordRound())
+        this.registrationOpen = true;
+        this.lobbyTimer = null;
+        this.lobbyEndsAt = null; // When registration closes, while the lobby countdown runs
+        this.hostConnected = true;
+        this.hostGraceTimer = null;
+        this.createdAt = Date.now();
+        this.lastActivity = this.createdAt; // Bumped by every socket event that names this session
+    }
+
+    touch() {
+        this.lastActivity = Date.now();
+    }
+
+    // Why the sweeper should remove this session, or null to keep it
+    getExpiryReason(idleMs, maxAgeMs, now = Date.now()) {
+        if (now - this.createdAt > maxAgeMs) {
+            return 'The session reached its maximum age';
+        }
+        if (now - this.lastActivity > idleMs) {
+            return 'The session expired after a period of inactivity';
+        }
+        return null;
+    }
+
+    // Open registration with a countdown
+    openLobby(seconds) {
+        this.registrationOpen = true;
+        this.lobbyEndsAt = Date.now() + seconds * 1000;
+        return this.lobbyEndsAt;
+    }
+
+    // Add time to a running lobby countdown, or reopen registration once it has closed
+    extendLobby(seconds) {
+        if (!this.registrationOpen || !this.lobbyEndsAt) {
+            return this.openLobby(seconds);
+        }
+
+        this.lobbyEndsAt += seconds * 1000;
+        return this.lobbyEndsAt;
+    }
+
+    closeLobby() {
+        this.registrationOpen = false;
+        this.lobbyEndsAt = null;
+    }
+
+    addPlayer(socketId, rawNickname) {
+        const nickname = this.validateNickname(rawNickname);
+        const nicknameKey = NicknameUtils.comparisonKey(nickname);
+
+        for (const player of this.players.values()) {
+            if (NicknameUtils.comparisonKey(player.nickname) !== nicknameKey) {
+                continue;
+            }
+
+            // While the lobby is open, a dropped player may take their seat back by nickname.
+            // Anyone can type a nickname, so the seat gets a new token and the old one stops working.
+            if (!player.connected && this.registrationOpen) {
+                player.token = generateToken();
+                this.bindSocket(player, socketId);
+                return player;
+            }
+
+            throw new Error('Nickname already taken');
+        }
+        if (this.isSpectatorNickname(nicknameKey)) {
+            throw new Error('Nickname already taken');
+        }
+
+        if (!this.registrationOpen) {
+            throw new Error('Registration is closed');
+        }
+
+        const player = {
+            id: crypto.randomBytes(4).toString('hex'),
+            token: generateToken(),
+            nickname,
+            socketId,
+            connected: true,
+            isHost: socketId === this.host,
+            score: 0
+        };
+
+        // Add to both active players and persistent nickname list
+        this.players.set(player.id, player);
+        this.allPlayerNicknames.add(nickname);
+        return player;
+    }
+
+    // The normalized nickname to store and display; throws when it breaks the shared nickname rules
+    validateNickname(nickname) {
+        const error = NicknameUtils.validate(nickname);
+        if (error) {
+            throw new Error(error);
+        }
+        return NicknameUtils.normalize(nickname);
+    }
+
+    // Rebind a returning player's new socket to their existing record (any phase)
+    reconnectPlayer(token, socketId) {
+        const player = this.getPlayerByToken(token);
+        if (!player) {
+            return null;
+        }
+
+        this.bindSocket(player, socketId);
+        return player;
+    }
+
+    bindSocket(player, socketId) {
+        player.socketId = socketId;
+        player.connected = true;
+    }
+
+    // Keep the record (role, word, spy status) so the player can come back later
+    disconnectPlayer(socketId) {
+        const player = this.getPlayerBySocket(socketId);
+        if (player) {
+            player.socketId = null;
+            player.connected = false;
+        }
+        return player;
+    }
+
+    removePlayer(playerId) {
+        // Don't remove from allPlayerNicknames - keep it for persistent tracking
+        this.players.delete(playerId);
+        this.spies.delete(playerId);
+    }
+
+    // Spectators can join in any phase. They never get a role or the word, and the host
+    // can queue them to become players when the next round starts.
+    addSpectator(socketId, rawNickname) {
+        const nickname = this.validateNickname(rawNickname);
+        const nicknameKey = NicknameUtils.comparisonKey(nickname);
+        const taken = Array.from(this.players.values())
+            .some(player => NicknameUtils.comparisonKey(player.nickname) === nicknameKey);
+
+        if (taken || this.isSpectatorNickname(nicknameKey)) {
+            throw new Error('Nickname already taken');
+        }
+
+        const spectator = {
+            id: crypto.randomBytes(4).toString('hex'),
+            token: generateToken(),
+            nickname,
+            socketId,
+            connected: true,
+            promote: false
+        };
+        this.spectators.set(spectator.id, spectator);
+        return spectator;
+    }
+
+    isSpectatorNickname(nicknameKey) {
+        for (const spectator of this.spectators.values()) {
+            if (NicknameUtils.comparisonKey(spectator.nickname) === nicknameKey) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    reconnectSpectator(token, socketId) {
+        if (!token) {
+            return null;
+        }
+
+        for (const spectator of this.spectators.values()) {
+            if (tokensMatch(spectator.token, token)) {
+                this.bindSocket(spectator, socketId);
+                return spectator;
+            }
+        }
+        return null;
+    }
+
+    getSpectatorBySocket(socketId) {
+        for (const spectator of this.spectators.values()) {
+            if (spectator.socketId === socketId) {
+                return spectator;
+            }
+        }
+        return null;
+    }
+
+    getSpectatorList() {
+        return Array.from(this.spectators.values(), s => ({
+            id: s.id,
+            nickname: s.nickname,
+            connected: s.connected,
+            promote: s.promote
+        }));
+    }
+
+    // Queue (or unqueue) a spectator to join as a player at the next round
+    setSpectatorPromotion(spectatorId, promote) {
+        const spectator = this.spectators.get(spectatorId);
+        if (!spectator) {
+            throw new Error('Spectator not found');
+        }
+
+        spectator.promote = Boolean(promote);
+        return spectator;
+    }
+
+    // Turn queued spectators into players, keeping their id and token; call before roles are dealt
+    promoteSpectators() {
+        const promoted = [];
+        for (const spectator of this.spectators.values()) {
+            if (!spectator.promote) {
+                continue;
+            }
+
+            const { promote, ...member } = spectator;
+            const player = { ...member, isHost: false, score: 0 };
+            this.spectators.delete(spectator.id);
+            this.players.set(player.id, player);
+            this.allPlayerNicknames.add(player.nickname);
+            promoted.push(player);
+        }
+        return promoted;
+    }
+
+    // Host removal of a player or spectator; a player's vote goes with them
+    kickPlayer(playerId) {
+        const player = this.players.get(playerId) || this.spectators.get(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+        if (player.isHost) {
+            throw new Error('The host cannot be removed');
+        }
+
+        this.removePlayer(playerId);
+        this.spectators.delete(playerId);
+        this.votes.delete(playerId);
+        return player;
+    }
+
+    // Kick and keep out: neither the nickname nor the player's token can rejoin
+    banPlayer(playerId) {
+        const player = this.kickPlayer(playerId);
+        this.bannedNicknames.add(NicknameUtils.comparisonKey(player.nickname));
+        this.bannedTokens.add(player.token);
+        return player;
+    }
+
+    isBanned(nickname, token) {
+        return Boolean((nickname && this.bannedNicknames.has(NicknameUtils.comparisonKey(nickname))) ||
+            (token && this.bannedTokens.has(token)));
+    }
+
+    // The host's own seat when they play too, or null
+    getHostPlayer() {
+        for (const player of this.players.values()) {
+            if (player.isHost) {
+                return player;
+            }
+        }
+        return null;
+    }
+
+    getPlayerBySocket(socketId) {
+        for (const player of this.players.values()) {
+            if (player.socketId === socketId) {
+                return player;
+            }
+        }
+        return null;
+    }
+
+    getPlayerByToken(token) {
+        if (!token) {
+            return null;
+        }
+
+        for (const player of this.players.values()) {
+            if (tokensMatch(player.token, token)) {
+                return player;
+            }
+        }
+        return null;
+    }
+
+    getPlayerList() {
+        return Array.from(this.players.values()).map(p => ({
+            id: p.id,
+            nickname: p.nickname,
+            isHost: p.isHost,
+            connected: p.connected
+        }));
+    }
+
+    // The one place the number of spies is decided
+    getSpyCount(playerCount = this.players.size) {
+        if (this.spyCount) {
+            return this.spyCount;
+        }
+        return Math.max(Math.floor(playerCount * (this.spyRatio || DEFAULT_SPY_RATIO)), 1);
+    }
+
+    selectSpies() {
+        const playerIds = Array.from(this.players.keys());
+        const spyCount = this.getSpyCount(playerIds.length);
+        if (spyCount * 2 >= playerIds.length) {
+            throw new Error(`Too many spies: ${spyCount} ${spyCount === 1 ? 'spy needs' : 'spies need'} at least ${spyCount * 2 + 1} players`);
+        }
+        const shuffledPlayers = secureshuffle(playerIds);
+        
+        this.spies.clear();
+        this.spyNicknames.clear(); // Reset spy nicknames for new selection
+        
+        for (let i = 0; i < spyCount; i++) {
+            const spyId = shuffledPlayers[i];
+            this.spies.add(spyId);
+            
+            // Store the spy's nickname persistently
+            const spyPlayer = this.players.get(spyId);
+            if (spyPlayer) {
+                this.spyNicknames.add(spyPlayer.nickname);
+            }
+        }
+    }
+
+    selectRandomWord() {
+        const undercover = this.mode === 'undercover';
+        const words = Array.from(wordList.keys())
+            .filter(word => this.categories.length === 0 || this.categories.includes(wordList.get(word).category))
+            .filter(word => !undercover || wordList.get(word).decoy);
+        if (words.length === 0) {
+            throw new Error(undercover ? 'No word pairs available for undercover mode' : 'No words available');
+        }
+
+        let selectedWord;
+        do {
+            const randomIndex = getSecureRandom(words.length);
+            selectedWord = words[randomIndex];
+        } while (selectedWord === this.previousWord && words.length > 1);
+
+        this.previousWord = this.currentWord;
+        this.currentWord = selectedWord;
+        this.decoyWord = undercover ? wordList.get(selectedWord).decoy : null;
+        return selectedWord;
+    }
+
+    // Start the discussion clock for this round
+    startGameTimer() {
+        this.gameStartTime = Date.now();
+        this.gameEndsAt = this.gameStartTime + this.duration * 60 * 1000;
+        this.pausedRemaining = null;
+        this.turnPausedRemaining = null;
+        return this.gameEndsAt;
+    }
+
+    isTimerPaused() {
+        return this.pausedRemaining !== null;
+    }
+
+    // Milliseconds of discussion left, or null if the timer has not been started
+    getGameTimeRemaining() {
+        if (this.isTimerPaused()) {
+            return this.pausedRemaining;
+        }
+        return this.gameEndsAt ? Math.max(this.gameEndsAt - Date.now(), 0) : null;
+    }
+
+    // Freeze the clock (and the current speaker's turn) until resumeGameTimer()
+    pauseGameTimer() {
+        if (this.isTimerPaused()) {
+            throw new Error('The timer is already paused');
+        }
+        if (!this.gameEndsAt) {
+            throw new Error('The timer is not running');
+        }
+
+        const now = Date.now();
+        this.pausedRemaining = Math.max(this.gameEndsAt - now, 0);
+        this.gameEndsAt = null;
+        this.turnPausedRemaining = this.turnEndsAt ? Math.max(this.turnEndsAt - now, 0) : null;
+        this.turnEndsAt = null;
+        return this.pausedRemaining;
+    }
+
+    // Restart the clock with the time it had left; returns the ms left for the
+    // paused speaker's turn (null if there was none) so the caller can restart it
+    resumeGameTimer() {
+        if (!this.isTimerPaused()) {
+            throw new Error('The timer is not paused');
+        }
+
+        this.gameEndsAt = Date.now() + this.pausedRemaining;
+        this.pausedRemaining = null;
+        const turnRemaining = this.turnPausedRemaining;
+        this.turnPausedRemaining = null;
+        return turnRemaining;
+    }
+
+    // Add (or with a negative value, take away) discussion time; never goes below zero
+    adjustGameTimer(seconds) {
+        if (this.isTimerPaused()) {
+            this.pausedRemaining = Math.max(this.pausedRemaining + seconds * 1000, 0);
+        } else if (this.gameEndsAt) {
+            this.gameEndsAt = Math.max(this.gameEndsAt + seconds * 1000, Date.now());
+        } else {
+            throw new Error('The timer is not running');
+        }
+        return this.getGameTimeRemaining();
+    }
+
+    getTimerPayload() {
+        return {
+            endsAt: this.gameEndsAt,
+            remaining: Math.ceil(this.getGameTimeRemaining() / 1000),
+            paused: this.isTimerPaused()
+        };
+    }
+
+    // The running countdown of the current phase as {endsAt, remaining, paused}, or null
+    getPhaseTimer(now = Date.now()) {
+        if (this.phase === 'game') {
+            return this.gameStartTime ? this.getTimerPayload() : null;
+        }
+
+        const endsAt = {
+            lobby: this.registrationOpen ? this.lobbyEndsAt : null,
+            voting: this.votingEndsAt,
+            spyGuess: this.spyGuessEndsAt
+        }[this.phase];
+        return endsAt ? { endsAt, remaining: Math.max(Math.ceil((endsAt - now) / 1000), 0), paused: false } : null;
+    }
+
+    // Operator view for the admin dashboard; leaves out words, roles and tokens
+    getAdminSummary(now = Date.now()) {
+        const connected = members => Array.from(members.values()).filter(member => member.connected).length;
+
+        return {
+            sessionId: this.sessionId,
+            phase: this.phase,
+            mode: this.mode,
+            hostConnected: this.hostConnected,
+            players: this.players.size,
+            connectedPlayers: connected(this.players),
+            spectators: this.spectators.size,
+            rounds: this.history.length,
+            createdAt: this.createdAt,
+            ageSeconds: Math.floor((now - this.createdAt) / 1000),
+            idleSeconds: Math.floor((now - this.lastActivity) / 1000),
+            timer: this.getPhaseTimer(now)
+        };
+    }
+
+    // Whether a countdown is running that clients need to keep in step with
+    hasActiveCountdown() {
+        switch (this.phase) {
+            case 'lobby':
+                return Boolean(this.registrationOpen && this.lobbyEndsAt);
+            case 'game':
+                return Boolean(this.gameStartTime);
+            case 'voting':
+            case 'spyGuess':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // Periodic timer sync: the server clock plus the discussion timer's authoritative state
+    getTimerSyncPayload() {
+        return {
+            serverTime: Date.now(),
+            phase: this.phase,
+            game: this.phase === 'game' && this.gameStartTime ? this.getTimerPayload() : null
+        };
+    }
+
+    // Shuffle a fresh speaking order and hand the first turn out; returns the speaker
+    startTurns() {
+        this.turnOrder = secureshuffle(Array.from(this.players.keys()));
+        this.turnIndex = -1;
+        this.turnNumber = 0;
+        return this.advanceTurn();
+    }
+
+    // Pass the turn to the next player in order, wrapping around. Disconnected players are
+    // skipped unless nobody is connected; returns the new speaker, or null if no players are left.
+    advanceTurn() {
+        const count = this.turnOrder.length;
+        let nextIndex = null;
+
+        for (let step = 1; step <= count; step++) {
+            const index = (this.turnIndex + step) % count;
+            const player = this.players.get(this.turnOrder[index]);
+            if (!player) {
+                continue; // Left the game
+            }
+            if (nextIndex === null || player.connected) {
+                nextIndex = index;
+            }
+            if (player.connected) {
+                break;
+            }
+        }
+
+        if (nextIndex === null) {
+            this.clearTurns();
+            return null;
+        }
+
+        this.turnIndex = nextIndex;
+        this.turnNumber++;
+        return this.players.get(this.turnOrder[nextIndex]);
+    }
+
+    clearTurns() {
+        this.turnOrder = [];
+        this.turnIndex = -1;
+        this.turnNumber = 0;
+        this.turnEndsAt = null;
+    }
+
+    getTurnPayload() {
+        const speaker = this.players.get(this.turnOrder[this.turnIndex]);
+        return {
+            playerId: speaker.id,
+            nickname: speaker.nickname,
+            turnNumber: this.turnNumber,
+            order: this.turnOrder.filter(id => this.players.has(id)).map(id => this.players.get(id).nickname),
+            duration: this.turnSeconds,
+            endsAt: this.turnEndsAt
+        };
+    }
+
+    getSpyNicknames() {
+        // Return persistent spy nicknames instead of relying on active connections
+        return Array.from(this.spyNicknames);
+    }
+
+    startVoting(durationSeconds) {
+        this.phase = 'voting';
+        this.pausedRemaining = null;
+        this.turnPausedRemaining = null;
+        this.votes.clear();
+        this.votingEndsAt = Date.now() + durationSeconds * 1000;
+    }
+
+    castVote(voterId, targetId) {
+        if (this.phase !== 'voting') {
+            throw new Error('Voting is not open');
+        }
+        if (!this.players.has(voterId)) {
+            throw new Error('Only players can vote');
+        }
+        if (this.votes.has(voterId)) {
+            throw new Error('You have already voted');
+        }
+        if (!this.players.has(targetId)) {
+            throw new Error('Unknown player');
+        }
+        if (voterId === targetId) {
+            throw new Error('You cannot vote for yourself');
+        }
+
+        this.votes.set(voterId, targetId);
+    }
+
+    getVoteCounts() {
+        const counts = new Map();
+        for (const targetId of this.votes.values()) {
+            counts.set(targetId, (counts.get(targetId) || 0) + 1);
+        }
+
+        return Array.from(this.players.values())
+            .map(p => ({ id: p.id, nickname: p.nickname, votes: counts.get(p.id) || 0 }))
+            .sort((a, b) => b.votes - a.votes);
+    }
+
+    // Connected players who still have to vote; dropped players are not waited for
+    hasEveryoneVoted() {
+        for (const player of this.players.values()) {
+            if (player.connected && !this.votes.has(player.id)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // The single most-voted player is accused; a tie or no votes accuses nobody
+    resolveVotes() {
+        const counts = this.getVoteCounts();
+        const [top, runnerUp] = counts;
+        const accused = top && top.votes > 0 && (!runnerUp || runnerUp.votes < top.votes) ? top : null;
+
+        this.roundResult = {
+            counts,
+            accused: accused ? accused.nickname : null,
+            spyCaught: Boolean(accused && this.spies.has(accused.id))
+        };
+        return this.roundResult;
+    }
+
+    // One guess per round, either declared during discussion or as the caught spy's last chance
+    submitSpyGuess(playerId, guess) {
+        if (!this.allowSpyGuess) {
+            throw new Error('Spy guesses are disabled for this session');
+        }
+        // Undercover spies don't know their role until they are caught, so no mid-game guesses
+        // (an error here would otherwise tell a civilian they are not a spy)
+        if (this.phase !== 'spyGuess' && (this.phase !== 'game' || this.mode === 'undercover')) {
+            throw new Error('You cannot guess the word right now');
+        }
+        if (!this.spies.has(playerId)) {
+            throw new Error('Only spies can guess the word');
+        }
+        if (this.spyGuess) {
+            throw new Error('The spies have already guessed');
+        }
+        if (!guess || !String(guess).trim()) {
+            throw new Error('Guess is required');
+        }
+
+        const trimmedGuess = String(guess).trim().slice(0, 100);
+        this.spyGuess = {
+            playerId,
+            nickname: this.players.get(playerId).nickname,
+            guess: trimmedGuess,
+            correct: normalizeForComparison(trimmedGuess) === normalizeForComparison(this.currentWord)
+        };
+        return this.spyGuess;
+    }
+
+    // A correct spy guess steals the round; otherwise catching a spy wins it for the civilians
+    getWinner() {
+        if (this.spyGuess) {
+            return this.spyGuess.correct ? 'spies' : 'civilians';
+        }
+        return this.roundResult && this.roundResult.spyCaught ? 'civilians' : 'spies';
+    }
+
+    // Hand out points for the finished round; called exactly once per round
+    awardPoints() {
+        const awards = [];
+        const award = (player, points, reason) => {
+            if (!player || points <= 0) {
+                return;
+            }
+            player.score += points;
+            awards.push({ nickname: player.nickname, points, reason });
+        };
+
+        const winner = this.getWinner();
+        for (const player of this.players.values()) {
+            const isSpy = this.spies.has(player.id);
+
+            if (this.spyGuess && this.spyGuess.correct) {
+                if (player.id === this.spyGuess.playerId) {
+                    award(player, this.points.spyGuess, 'spyGuess');
+                }
+            } else if (winner === 'civilians' && !isSpy) {
+                award(player, this.points.civilianCatch, 'civilianCatch');
+            } else if (winner === 'spies' && isSpy) {
+                award(player, this.points.spySurvive, 'spySurvive');
+            }
+        }
+
+        this.lastAwards = awards;
+        return awards;
+    }
+
+    // Keep a record of the round that just ended; called once per round, after awardPoints()
+    recordRound() {
+        const nickname = playerId => (this.players.has(playerId) ? this.players.get(playerId).nickname : null);
+        const round = {
+            round: this.history.length + 1,
+            startedAt: this.roundStartedAt,
+            endedAt: Date.now(),
+            mode: this.mode,
+            word: this.currentWord,
+            decoyWord: this.decoyWord,
+            players: Array.from(this.players.values(), player => ({
+                nickname: player.nickname,
+                spy: this.spies.has(player.id),
+                score: player.score
+            })),
+            spies: this.getSpyNicknames(),
+            votes: Array.from(this.votes, ([voterId, targetId]) => ({ voter: nickname(voterId), accused: nickname(targetId) })),
+            accused: this.roundResult ? this.roundResult.accused : null,
+            spyCaught: Boolean(this.roundResult && this.roundResult.spyCaught),
+            spyGuess: this.spyGuess && {
+                nickname: this.spyGuess.nickname,
+                guess: this.spyGuess.guess,
+                correct: this.spyGuess.correct
+            },
+            winner: this.getWinner(),
+            awards: this.lastAwards
+        };
+        this.history.push(round);
+        return round;
+    }
+
+    getLeaderboard() {
+        return Array.from(this.players.values())
+            .map(p => ({ nickname: p.nickname, score: p.score }))
+            .sort((a, b) => b.score - a.score || a.nickname.localeCompare(b.nickname));
+    }
+
+    getGameEndedPayload() {
+        return {
+            spies: this.getSpyNicknames(),
+            word: this.currentWord,
+            decoyWord: this.decoyWord,
+            vote: this.roundResult,
+            spyGuess: this.spyGuess && {
+                nickname: this.spyGuess.nickname,
+                guess: this.spyGuess.guess,
+                correct: this.spyGuess.correct
+            },
+            winner: this.getWinner(),
+            awards: this.lastAwards
+        };
+    }
+
+    getRolePayload(playerId) {
+        // Undercover payloads look the same for everyone; only the word differs
+        if (this.mode === 'undercover') {
+            return { role: 'player', word: this.spies.has(playerId) ? this.decoyWord : this.currentWord };
+        }
+        if (this.spies.has(playerId)) {
+            return { role: 'spy', canGuess: this.allowSpyGuess };
+        }
+        return { role: 'civilian', word: this.currentWord };
+    }
+
+    // Plain snapshot for the session store. Sockets are not saved, and running
+    // timers are saved as the time they had left.
+    toJSON() {
+        const now = Date.now();
+        const remaining = endsAt => (endsAt ? Math.max(endsAt - now, 0) : null);
+
+        return {
+            sessionId: this.sessionId,
+            duration: this.duration,
+            allowSpyGuess: this.allowSpyGuess,
+            points: this.points,
+            categories: this.categories,
+            spyCount: this.spyCount,
+            spyRatio: this.spyRatio,
+            mode: this.mode,
+            turnSeconds: this.turnSeconds,
+            hostToken: this.hostToken,
+            players: Array.from(this.players.values(), ({ socketId, connected, ...player }) => player),
+            spectators: Array.from(this.spectators.values(), ({ socketId, connected, ...spectator }) => spectator),
+            allPlayerNicknames: Array.from(this.allPlayerNicknames),
+            bannedNicknames: Array.from(this.bannedNicknames),
+            bannedTokens: Array.from(this.bannedTokens),
+            spies: Array.from(this.spies),
+            spyNicknames: Array.from(this.spyNicknames),
+            currentWord: this.currentWord,
+            decoyWord: this.decoyWord,
+            previousWord: this.previousWord,
+            phase: this.phase,
+            timerRemaining: this.isTimerPaused() ? this.pausedRemaining : remaining(this.gameEndsAt),
+            timerPaused: this.isTimerPaused(),
+            turnOrder: this.turnOrder,
+            turnIndex: this.turnIndex,
+            turnNumber: this.turnNumber,
+            turnRemaining: this.turnPausedRemaining !== null ? this.turnPausedRemaining : remaining(this.turnEndsAt),
+            votes: Array.from(this.votes),
+            votingRemaining: remaining(this.votingEndsAt),
+            spyGuess: this.spyGuess,
+            spyGuessRemaining: remaining(this.spyGuessEndsAt),
+            roundResult: this.roundResult,
+            lastAwards: this.lastAwards,
+            roundStartedAt: this.roundStartedAt,
+            history: this.history,
+            registrationOpen: this.registrationOpen,
+            lobbyRemaining: remaining(this.lobbyEndsAt),
+            createdAt: this.createdAt,
+            lastActivity: this.lastActivity
+        };
+    }
+
+    // Rebuild a session from toJSON() output. Everyone starts out disconnected and
+    // timers pick up with the time they had left; the caller re-arms them.
+    static fromJSON(snapshot) {
+        const session = new GameSession(snapshot.sessionId, snapshot.duration, null, {
+            allowSpyGuess: snapshot.allowSpyGuess,
+            points: snapshot.points,
+            categories: snapshot.categories,
+            spyCount: snapshot.spyCount,
+            spyRatio: snapshot.spyRatio,
+            mode: snapshot.mode,
+            turnSeconds: snapshot.turnSeconds
+        });
+        const now = Date.now();
+
+        session.hostToken = snapshot.hostToken;
+        session.hostConnected = false;
+        for (const player of snapshot.players) {
+            session.players.set(player.id, { ...player, socketId: null, connected: false });
+        }
+        for (const spectator of snapshot.spectators || []) {
+            session.spectators.set(spectator.id, { ...spectator, socketId: null, connected: false });
+        }
+        session.allPlayerNicknames = new Set(snapshot.allPlayerNicknames);
+        // Older snapshots stored lowercased nicknames; keying them again is harmless for current ones
+        session.bannedNicknames = new Set((snapshot.bannedNicknames || []).map(nickname => NicknameUtils.comparisonKey(nickname)));
+        session.bannedTokens = new Set(snapshot.bannedTokens || []);
+        session.spies = new Set(snapshot.spies);
+        session.spyNicknames = new Set(snapshot.spyNicknames);
+        session.currentWord = snapshot.currentWord;
+        session.decoyWord = snapshot.decoyWord || null;
+        session.previousWord = snapshot.previousWord;
+        session.phase = snapshot.phase;
+        session.turnOrder = snapshot.turnOrder || [];
+        session.turnIndex = snapshot.turnIndex === undefined ? -1 : snapshot.turnIndex;
+        session.turnNumber = snapshot.turnNumber || 0;
+        const turnRemaining = snapshot.turnRemaining === undefined ? null : snapshot.turnRemaining;
+        if (snapshot.timerRemaining !== null) {
+            session.gameStartTime = now + snapshot.timerRemaining - session.duration * 60 * 1000;
+            if (snapshot.timerPaused) {
+                session.pausedRemaining = snapshot.timerRemaining;
+                session.turnPausedRemaining = turnRemaining;
+            } else {
+                session.gameEndsAt = now + snapshot.timerRemaining;
+            }
+        }
+        if (turnRemaining !== null && !snapshot.timerPaused) {
+            session.turnEndsAt = now + turnRemaining;
+        }
+        session.votes = new Map(snapshot.votes);
+        if (snapshot.votingRemaining !== null) {
+            session.votingEndsAt = now + snapshot.votingRemaining;
+        }
+        session.spyGuess = snapshot.spyGuess;
+        if (snapshot.spyGuessRemaining !== null) {
+            session.spyGuessEndsAt = now + snapshot.spyGuessRemaining;
+        }
+        session.roundResult = snapshot.roundResult;
+        session.lastAwards = snapshot.lastAwards;
+        session.roundStartedAt = snapshot.roundStartedAt || null;
+        session.history = snapshot.history || [];
+        session.registrationOpen = snapshot.registrationOpen;
+        session.createdAt = snapshot.createdAt || now;
+        session.lastActivity = snapshot.lastActivity || now;
+        if (snapshot.lobbyRemaining !== null && snapshot.lobbyRemaining !== undefined) {
+            session.lobbyEndsAt = now + snapshot.lobbyRemaining;
+        }
+        return session;
+    }
+}
+
+// Send a player their role for the current round, if their socket is connected
+function emitRole(session, player) {
+    const playerSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+    if (!playerSocket) {
+        return false;
+    }
+
+    playerSocket.emit('roleAssigned', session.getRolePayload(player.id));
+    return true;
+}
+
+// Tell a (re)joining socket whether registration is still open, and until when
+function sendLobbyState(socket, session) {
+    if (session.registrationOpen && session.lobbyEndsAt) {
+        socket.emit('lobbyTimerStarted', {
+            duration: Math.max(Math.ceil((session.lobbyEndsAt - Date.now()) / 1000), 0),
+            endsAt: session.lobbyEndsAt
+        });
+    } else {
+        socket.emit('lobbyEnded', { playerCount: session.players.size });
+    }
+}
+
+// Bring a (re)joining socket up to date with the round in progress
+function sendGameState(socket, session, player) {
+    if (session.phase === 'lobby') {
+        sendLobbyState(socket, session);
+        return;
+    }
+
+    socket.emit('roleAssigned', session.getRolePayload(player.id));
+
+    if (session.gameStartTime) {
+        socket.emit('timerStarted', {
+            duration: session.duration * 60,
+            startTime: session.gameStartTime,
+            endsAt: session.gameEndsAt
+        });
+        if (session.isTimerPaused()) {
+            socket.emit('timerUpdated', session.getTimerPayload());
+        }
+    }
+
+    if (session.phase === 'game' && session.turnIndex >= 0) {
+        socket.emit('turnStarted', session.getTurnPayload());
+    }
+
+    if (session.phase === 'voting') {
+        socket.emit('votingStarted', {
+            candidates: session.getPlayerList(),
+            duration: VOTING_DURATION_SECONDS,
+            endsAt: session.votingEndsAt,
+            votedFor: session.votes.get(player.id) || null
+        });
+    }
+
+    if (session.phase === 'spyGuess') {
+        socket.emit('spyGuessStarted', getSpyGuessPayload(session));
+    }
+
+    if (session.phase === 'ended') {
+        socket.emit('gameEnded', session.getGameEndedPayload());
+    }
+
+    socket.emit('leaderboardUpdated', {
+        leaderboard: session.getLeaderboard()
+    });
+}
+
+function emitVoteUpdate(session) {
+    const progress = {
+        votesCast: session.votes.size,
+        voterCount: session.players.size
+    };
+    // Only the host screen and spectators see who is being accused while voting is open;
+    // a host who is playing too votes blind like everyone else
+    const audience = session.getHostPlayer()
+        ? [spectatorRoom(session.sessionId)]
+        : [session.host, spectatorRoom(session.sessionId)];
+    io.to(audience).emit('voteUpdated', {
+        ...progress,
+        counts: session.getVoteCounts()
+    });
+    io.to(session.sessionId).except(audience).emit('votingProgress', progress);
+}
+
+// Socket.io room of a session's spectators, who are also in the session room
+function spectatorRoom(sessionId) {
+    return `${sessionId}:spectators`;
+}
+
+function getPlayersPayload(session) {
+    return {
+        players: session.getPlayerList(),
+        spectators: session.getSpectatorList(),
+        count: session.players.size,
+        spyCount: session.getSpyCount()
+    };
+}
+
+// Move spectators the host queued up into the player list before roles are dealt
+function promoteSpectators(session) {
+    for (const player of session.promoteSpectators()) {
+        const playerSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+        if (playerSocket) {
+            playerSocket.leave(spectatorRoom(session.sessionId));
+            playerSocket.emit('promoted', { playerId: player.id });
+        }
+        logger.info('Spectator promoted to player', { sessionId: session.sessionId, playerId: player.id, nickname: player.nickname });
+    }
+}
+
+// Give the current speaker the floor (a full turn unless told otherwise) and tell everyone.
+// When the countdown runs out the turn passes to the next player.
+function startTurn(session, durationMs = session.turnSeconds * 1000) {
+    if (session.turnTimer) clearTimeout(session.turnTimer);
+    session.turnEndsAt = Date.now() + durationMs;
+    session.turnTimer = setTimeout(() => {
+        session.turnTimer = null;
+        if (session.advanceTurn()) {
+            startTurn(session);
+        }
+    }, durationMs);
+
+    io.to(session.sessionId).emit('turnStarted', session.getTurnPayload());
+}
+
+// (Re)arm the discussion timer for whatever time the session has left
+function scheduleGameTimer(session) {
+    if (session.gameTimer) clearTimeout(session.gameTimer);
+    session.gameTimer = setTimeout(() => startVoting(session), session.getGameTimeRemaining());
+}
+
+function emitTimerUpdate(session) {
+    io.to(session.sessionId).emit('timerUpdated', session.getTimerPayload());
+}
+
+// Sync tick for every session with a countdown running, so clients correct clock
+// drift and throttled background tabs catch up
+function broadcastTimerSync() {
+    for (const session of gameSessions.values()) {
+        if (session.hasActiveCountdown()) {
+            io.to(session.sessionId).emit('timerSync', session.getTimerSyncPayload());
+        }
+    }
+}
+
+function stopTurns(session) {
+    if (session.turnTimer) clearTimeout(session.turnTimer);
+    session.turnTimer = null;
+    session.clearTurns();
+}
+
+// Discussion time is up: stop the game timer and let players accuse someone
+function startVoting(session) {
+    if (session.gameTimer) clearTimeout(session.gameTimer);
+    session.gameTimer = null;
+    stopTurns(session);
+
+    session.startVoting(VOTING_DURATION_SECONDS);
+    session.votingTimer = setTimeout(() => finishVoting(session), VOTING_DURATION_SECONDS * 1000);
+
+    io.to(session.sessionId).emit('votingStarted', {
+        candidates: session.getPlayerList(),
+        duration: VOTING_DURATION_SECONDS,
+        endsAt: session.votingEndsAt
+    });
+    emitVoteUpdate(session);
+
+    logger.info('Voting started', { sessionId: session.sessionId });
+}
+
+// Close the ballot; a caught spy gets a last chance to guess before the final reveal
+function finishVoting(session) {
+    if (session.phase !== 'voting') {
+        return;
+    }
+
+    if (session.votingTimer) clearTimeout(session.votingTimer);
+    session.votingTimer = null;
+
+    const result = session.resolveVotes();
+    logger.info('Voting closed', { sessionId: session.sessionId, accused: result.accused, spyCaught: result.spyCaught });
+
+    if (result.spyCaught && session.allowSpyGuess && !session.spyGuess) {
+        startSpyGuess(session);
+    } else {
+        endRound(session);
+    }
+}
+
+function getSpyGuessPayload(session) {
+    return {
+        spies: session.getSpyNicknames(),
+        accused: session.roundResult && session.roundResult.accused,
+        duration: SPY_GUESS_DURATION_SECONDS,
+        endsAt: session.spyGuessEndsAt
+    };
+}
+
+// Spies are revealed; they get one last shot at naming the secret word
+function startSpyGuess(session) {
+    session.phase = 'spyGuess';
+    session.spyGuessEndsAt = Date.now() + SPY_GUESS_DURATION_SECONDS * 1000;
+    session.spyGuessTimer = setTimeout(() => endRound(session), SPY_GUESS_DURATION_SECONDS * 1000);
+
+    io.to(session.sessionId).emit('spyGuessStarted', getSpyGuessPayload(session));
+    logger.info('Spy last-chance guess started', { sessionId: session.sessionId });
+}
+
+// Stop every round timer and broadcast the final reveal
+function endRound(session) {
+    if (session.phase === 'ended') {
+        return;
+    }
+
+    if (session.gameTimer) clearTimeout(session.gameTimer);
+    if (session.votingTimer) clearTimeout(session.votingTimer);
+    if (session.spyGuessTimer) clearTimeout(session.spyGuessTimer);
+    session.gameTimer = null;
+    session.votingTimer = null;
+    session.spyGuessTimer = null;
+    stopTurns(session);
+
+    session.phase = 'ended';
+    session.awardPoints();
+    session.recordRound();
+    const payload = session.getGameEndedPayload();
+    io.to(session.sessionId).emit('gameEnded', payload);
+    io.to(session.sessionId).emit('leaderboardUpdated', {
+        leaderboard: session.getLeaderboard()
+    });
+
+    logger.info('Round ended', { sessionId: session.sessionId, winner: payload.winner, word: payload.word, spies: payload.spies });
+}
+
+// Remove a player at the host's request, tell them why and keep the round going without them
+function expelPlayer(session, playerId, ban, reason) {
+    const wasSpeaking = session.turnIndex >= 0 && session.turnOrder[session.turnIndex] === playerId;
+    const player = ban ? session.banPlayer(playerId) : session.kickPlayer(playerId);
+
+    const playerSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+    if (playerSocket) {
+        playerSocket.emit('kicked', { reason, banned: ban });
+        playerSocket.leave(session.sessionId);
+        playerSocket.leave(spectatorRoom(session.sessionId));
+    }
+
+    io.to(session.sessionId).emit('playersUpdated', getPlayersPayload(session));
+
+    if (wasSpeaking) {
+        const next = session.advanceTurn();
+        if (session.isTimerPaused()) {
+            session.turnPausedRemaining = next ? session.turnSeconds * 1000 : null;
+        } else if (next) {
+            startTurn(session);
+        } else {
+            stopTurns(session);
+        }
+    }
+
+    if (session.phase === 'voting') {
+        emitVoteUpdate(session);
+        if (session.hasEveryoneVoted()) {
+            finishVoting(session);
+        }
+    }
+
+    logger.info(ban ? 'Player banned' : 'Player kicked', { sessionId: session.sessionId, playerId: player.id, nickname: player.nickname });
+}
+
+// Resolve the session for a host-only event, or null if the caller is not the authenticated host
+function getHostSession(socket, data) {
+    const { sessionId, hostToken } = data || {};
+    const session = gameSessions.get(sessionId);
+
+    if (!session || session.host !== socket.id || !tokensMatch(session.hostToken, hostToken)) {
+        return null;
+    }
+    return session;
+}
+
+// Bring a (re)joining host page or spectator up to date with the round in progress.
+// Nothing here gives away the secret word before the reveal.
+function sendHostState(socket, session) {
+    if (session.phase === 'lobby') {
+        sendLobbyState(socket, session);
+        return;
+    }
+
+    socket.emit('gameStarted', {
+        duration: session.duration * 60,
+        spyCount: session.spies.size
+    });
+
+    if (session.gameStartTime) {
+        socket.emit('timerStarted', {
+            duration: session.duration * 60,
+            startTime: session.gameStartTime,
+            endsAt: session.gameEndsAt
+        });
+        if (session.isTimerPaused()) {
+            socket.emit('timerUpdated', session.getTimerPayload());
+        }
+    }
+
+    if (session.phase === 'game' && session.turnIndex >= 0) {
+        socket.emit('turnStarted', session.getTurnPayload());
+    }
 
-// Game state storage
-const gameSessions = new Map();
-const wordList = new Set();
+    if (session.phase === 'voting') {
+        // A playing host gets the ballot like a player; everyone else watching gets the tally
+        const player = session.getPlayerBySocket(socket.id);
+        const progress = {
+            votesCast: session.votes.size,
+            voterCount: session.players.size
+        };
+
+        socket.emit('votingStarted', {
+            candidates: session.getPlayerList(),
+            duration: VOTING_DURATION_SECONDS,
+            endsAt: session.votingEndsAt,
+            votedFor: player ? session.votes.get(player.id) || null : undefined
+        });
+        if (player) {
+            socket.emit('votingProgress', progress);
+        } else {
+            socket.emit('voteUpdated', {
+                ...progress,
+                counts: session.getVoteCounts()
+            });
+        }
+    }
 
-// Load words from CSV file
-function loadWords() {
-    return new Promise((resolve, reject) => {
-        const words = new Set();
-        fs.createReadStream('word_list.csv')
-            .pipe(csv({ headers: false }))
-            .on('data', (row) => {
-                const word = Object.values(row)[0];
-                if (word && word.trim()) {
-                    words.add(word.trim().replace(/,$/, ''));
-                }
-            })
-            .on('end', () => {
-                wordList.clear();
-                words.forEach(word => wordList.add(word));
-                console.log(`Loaded ${wordList.size} words from CSV`);
-                resolve(words);
-            })
-            .on('error', reject);
+    if (session.phase === 'spyGuess') {
+        socket.emit('spyGuessStarted', getSpyGuessPayload(session));
+    }
+
+    if (session.phase === 'ended') {
+        socket.emit('gameEnded', session.getGameEndedPayload());
+    }
+
+    socket.emit('leaderboardUpdated', {
+        leaderboard: session.getLeaderboard()
     });
 }
 
-// Generate secure random session ID
-function generateSessionId() {
-    return crypto.randomBytes(3).toString('hex').toUpperCase();
+// (Re)arm the lobby countdown for the session's current lobbyEndsAt
+function scheduleLobbyTimer(session) {
+    if (session.lobbyTimer) clearTimeout(session.lobbyTimer);
+    session.lobbyTimer = setTimeout(() => endLobby(session), Math.max(session.lobbyEndsAt - Date.now(), 0));
 }
 
-// Generate secure random selection
-function getSecureRandom(max) {
-    const randomBuffer = crypto.randomBytes(4);
-    const randomInt = randomBuffer.readUInt32BE(0);
-    return randomInt % max;
+function startLobbyTimer(session, seconds) {
+    session.openLobby(seconds);
+    scheduleLobbyTimer(session);
+
+    io.to(session.sessionId).emit('lobbyTimerStarted', {
+        duration: seconds,
+        endsAt: session.lobbyEndsAt
+    });
 }
 
-// Shuffle array using secure randomization
-function secureshuffle(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = getSecureRandom(i + 1);
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+// Lobby countdown is over: close registration, or give up if too few players came
+function endLobby(session) {
+    session.lobbyTimer = null;
+    session.closeLobby();
+
+    if (session.players.size < MIN_PLAYERS) {
+        abortSession(session, `The lobby closed with ${session.players.size} players - at least ${MIN_PLAYERS} are needed to play`, 'too_few_players');
+        return;
     }
-    return shuffled;
+
+    io.to(session.sessionId).emit('lobbyEnded', { playerCount: session.players.size });
+    logger.info('Lobby closed', { sessionId: session.sessionId, players: session.players.size });
 }
 
-// Game session class
-class GameSession {
-    constructor(sessionId, duration, host) {
-        this.sessionId = sessionId;
-        this.duration = duration; // in minutes
-        this.host = host;
-        this.players = new Map(); // socketId -> {nickname, socketId, isHost}
-        this.allPlayerNicknames = new Set(); // All nicknames that have joined (persistent)
-        this.spies = new Set(); // socketId set for spies
-        this.spyNicknames = new Set(); // Persistent spy nicknames (survives disconnections)
-        this.currentWord = null;
-        this.previousWord = null;
-        this.phase = 'lobby'; // lobby, game, ended
-        this.gameTimer = null;
-        this.gameStartTime = null;
-        this.registrationOpen = true;
-    }
+// Stop every timer a session may have running
+function clearSessionTimers(session) {
+    if (session.gameTimer) clearTimeout(session.gameTimer);
+    if (session.votingTimer) clearTimeout(session.votingTimer);
+    if (session.spyGuessTimer) clearTimeout(session.spyGuessTimer);
+    if (session.hostGraceTimer) clearTimeout(session.hostGraceTimer);
+    if (session.lobbyTimer) clearTimeout(session.lobbyTimer);
+    if (session.turnTimer) clearTimeout(session.turnTimer);
+}
 
-    addPlayer(socketId, nickname) {
-        if (!this.registrationOpen) {
-            throw new Error('Registration is closed');
+// Tear down a session: stop its timers, notify everyone and forget it
+// `cause` is a short label for the games-aborted metric; `reason` is the message players see
+function abortSession(session, reason, cause) {
+    const { sessionId } = session;
+
+    clearSessionTimers(session);
+    countMetric(metrics.gamesAborted, cause);
+
+    // Notify all players
+    io.to(sessionId).emit('gameAborted', { reason });
+
+    // Take everyone (players, spectators, the host page) out of the session's rooms
+    io.in(sessionId).socketsLeave([sessionId, spectatorRoom(sessionId)]);
+    closeSseClients(sessionId);
+
+    // Clean up session
+    gameSessions.delete(sessionId);
+    logger.info('Session aborted', { sessionId, cause, reason });
+}
+
+// Garbage-collect sessions nobody is using any more: idle for too long (a running
+// countdown counts as activity) or simply too old
+function sweepSessions() {
+    const idleMs = SESSION_IDLE_TIMEOUT_MINUTES * 60 * 1000;
+    const maxAgeMs = SESSION_MAX_AGE_HOURS * 60 * 60 * 1000;
+
+    for (const session of Array.from(gameSessions.values())) {
+        if (session.hasActiveCountdown() && !session.isTimerPaused()) {
+            session.touch();
         }
 
-        // Check for duplicate nicknames only among active players
-        // This allows reconnections with the same nickname if the player is not currently active
-        const normalizedNickname = nickname.toLowerCase().trim();
-        
-        // Check active players only - allow reconnection with same nickname if not currently active
-        for (const player of this.players.values()) {
-            if (player.nickname.toLowerCase().trim() === normalizedNickname) {
-                throw new Error('Nickname already taken');
-            }
+        const reason = session.getExpiryReason(idleMs, maxAgeMs);
+        if (reason) {
+            abortSession(session, reason, 'expired');
         }
+    }
+}
 
-        // Add to both active players and persistent nickname list
-        this.players.set(socketId, {
-            socketId,
-            nickname,
-            isHost: socketId === this.host
-        });
-        
-        this.allPlayerNicknames.add(nickname);
+// Keep the session (and any running game timer) alive while the host reconnects.
+// A handoff is the index page's socket closing on its way to the host page: the same grace
+// window applies in case the host page never arrives, but nobody is told the host left.
+function handleHostDisconnect(session, handoff = false) {
+    session.hostConnected = false;
+
+    if (session.hostGraceTimer) clearTimeout(session.hostGraceTimer);
+    session.hostGraceTimer = setTimeout(() => {
+        session.hostGraceTimer = null;
+        abortSession(session, 'The host did not reconnect', 'host_gone');
+    }, HOST_RECONNECT_GRACE_SECONDS * 1000);
+
+    if (handoff) {
+        logger.debug('Waiting for the host page', { sessionId: session.sessionId });
+        return;
     }
 
-    removePlayer(socketId) {
-        // Don't remove from allPlayerNicknames - keep it for persistent tracking
-        // Only remove from active players
-        this.players.delete(socketId);
-        this.spies.delete(socketId);
+    io.to(session.sessionId).emit('hostDisconnected', {
+        graceSeconds: HOST_RECONNECT_GRACE_SECONDS
+    });
+
+    logger.info('Host disconnected, waiting for reconnect', { sessionId: session.sessionId, graceSeconds: HOST_RECONNECT_GRACE_SECONDS });
+}
+
+let lastSessionSnapshot = null;
+
+// Snapshot every live session to the session store (skipped when nothing changed)
+function saveSessions() {
+    const snapshot = JSON.stringify({ sessions: Array.from(gameSessions.values()) });
+    if (snapshot === lastSessionSnapshot) {
+        return;
     }
 
-    getPlayerList() {
-        return Array.from(this.players.values()).map(p => ({
-            nickname: p.nickname,
-            isHost: p.isHost
-        }));
+    try {
+        writeFileAtomic(SESSION_STORE_FILE, snapshot);
+        lastSessionSnapshot = snapshot;
+    } catch (error) {
+        logger.error('Failed to save sessions', { file: SESSION_STORE_FILE, error });
+    }
+}
+
+// Rehydrate sessions saved before a restart and resume their timers.
+// Players and the host get back in with their tokens as their pages reconnect.
+function restoreSessions() {
+    if (!fs.existsSync(SESSION_STORE_FILE)) {
+        return;
     }
 
-    selectSpies() {
-        const playerIds = Array.from(this.players.keys());
-        const spyCount = Math.max(Math.floor(playerIds.length / 3), 1);
-        const shuffledPlayers = secureshuffle(playerIds);
-        
-        this.spies.clear();
-        this.spyNicknames.clear(); // Reset spy nicknames for new selection
-        
-        for (let i = 0; i < spyCount; i++) {
-            const spySocketId = shuffledPlayers[i];
-            this.spies.add(spySocketId);
-            
-            // Store the spy's nickname persistently
-            const spyPlayer = this.players.get(spySocketId);
-            if (spyPlayer) {
-                this.spyNicknames.add(spyPlayer.nickname);
-            }
-        }
+    let snapshots;
+    try {
+        snapshots = JSON.parse(fs.readFileSync(SESSION_STORE_FILE, 'utf8')).sessions;
+    } catch (error) {
+        logger.error('Failed to read saved sessions', { file: SESSION_STORE_FILE, error });
+        return;
     }
 
-    selectRandomWord() {
-        const words = Array.from(wordList);
-        if (words.length === 0) {
-            throw new Error('No words available');
+    for (const snapshot of snapshots) {
+        const session = GameSession.fromJSON(snapshot);
+        gameSessions.set(session.sessionId, session);
+
+        const now = Date.now();
+        if (session.phase === 'lobby' && session.registrationOpen && session.lobbyEndsAt) {
+            scheduleLobbyTimer(session);
+        } else if (session.phase === 'game' && session.gameEndsAt) {
+            scheduleGameTimer(session);
+            if (session.turnIndex >= 0 && session.players.has(session.turnOrder[session.turnIndex])) {
+                startTurn(session, Math.max(session.turnEndsAt - now, 0));
+            }
+        } else if (session.phase === 'voting') {
+            session.votingTimer = setTimeout(() => finishVoting(session), Math.max(session.votingEndsAt - now, 0));
+        } else if (session.phase === 'spyGuess') {
+            session.spyGuessTimer = setTimeout(() => endRound(session), Math.max(session.spyGuessEndsAt - now, 0));
         }
 
-        let selectedWord;
-        do {
-            const randomIndex = getSecureRandom(words.length);
-            selectedWord = words[randomIndex];
-        } while (selectedWord === this.previousWord && words.length > 1);
-
-        this.previousWord = this.currentWord;
-        this.currentWord = selectedWord;
-        return selectedWord;
+        // The host has the usual grace period to come back
+        handleHostDisconnect(session);
     }
 
-    getSpyNicknames() {
-        // Return persistent spy nicknames instead of relying on active connections
-        return Array.from(this.spyNicknames);
-    }
+    logger.info('Sessions restored', { sessions: gameSessions.size, file: SESSION_STORE_FILE });
 }
 
 // Middleware
+if (TRUST_PROXY) {
+    app.set('trust proxy', 1);
+}
+app.use(['/api', '/health-check'], rateLimit(rateLimiters.api, 'Too many requests, please try again later'));
 app.use(express.json());
 app.use(express.static('public'));
 
@@ -191,6 +1834,11 @@ app.get('/test', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'test.html'));
 });
 
+// The dashboard page itself is public; its data comes from the token-protected /api/admin routes
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
 // Service worker endpoint
 app.get('/sw.js', (req, res) => {
     res.setHeader('Content-Type', 'application/javascript');
@@ -209,6 +1857,10 @@ const sseClients = new Map(); // sessionId -> Set of response objects
 
 app.get('/events/:sessionId/:nickname', (req, res) => {
     const { sessionId, nickname } = req.params;
+
+    if (!gameSessions.has(sessionId)) {
+        return res.status(404).end();
+    }
     
     // Set SSE headers
     res.writeHead(200, {
@@ -220,7 +1872,7 @@ app.get('/events/:sessionId/:nickname', (req, res) => {
         'X-Accel-Buffering': 'no' // Disable nginx buffering
     });
     
-    console.log(`SSE connection opened: ${nickname} in session ${sessionId}`);
+    logger.debug('SSE connection opened', { sessionId, nickname });
     
     // Add client to SSE clients
     if (!sseClients.has(sessionId)) {
@@ -238,7 +1890,7 @@ app.get('/events/:sessionId/:nickname', (req, res) => {
     
     // Send keep-alive every 10 seconds
     const keepAlive = setInterval(() => {
-        if (!res.destroyed) {
+        if (!res.destroyed && !res.writableEnded) {
             res.write(`data: ${JSON.stringify({
                 type: 'keep-alive',
                 timestamp: Date.now()
@@ -250,7 +1902,7 @@ app.get('/events/:sessionId/:nickname', (req, res) => {
     
     // Clean up on disconnect
     req.on('close', () => {
-        console.log(`SSE connection closed: ${nickname} in session ${sessionId}`);
+        logger.debug('SSE connection closed', { sessionId, nickname });
         clearInterval(keepAlive);
         if (sseClients.has(sessionId)) {
             sseClients.get(sessionId).delete(res);
@@ -261,6 +1913,17 @@ app.get('/events/:sessionId/:nickname', (req, res) => {
     });
 });
 
+// End every SSE stream of a session that is going away
+function closeSseClients(sessionId) {
+    const clients = sseClients.get(sessionId);
+    if (!clients) {
+        return;
+    }
+
+    clients.forEach(res => res.end());
+    sseClients.delete(sessionId);
+}
+
 // Function to broadcast via SSE
 function broadcastSSE(sessionId, data) {
     if (sseClients.has(sessionId)) {
@@ -270,7 +1933,7 @@ function broadcastSSE(sessionId, data) {
                 try {
                     res.write(`data: ${JSON.stringify(data)}\n\n`);
                 } catch (error) {
-                    console.log('SSE write error:', error);
+                    logger.warn('SSE write failed', { sessionId, error });
                     clients.delete(res);
                 }
             } else {
@@ -285,7 +1948,7 @@ app.post('/health-check', express.json(), (req, res) => {
     const { sessionId, nickname, timestamp, type } = req.body;
     
     if (type === 'service-worker-ping') {
-        console.log('Service worker ping received');
+        logger.debug('Service worker ping received');
         res.json({
             status: 'ok',
             type: 'service-worker-response',
@@ -294,7 +1957,7 @@ app.post('/health-check', express.json(), (req, res) => {
         return;
     }
     
-    console.log(`Health check from ${nickname} in session ${sessionId}`);
+    logger.debug('Health check', { sessionId, nickname });
     
     const session = gameSessions.get(sessionId);
     if (session) {
@@ -314,32 +1977,278 @@ app.post('/health-check', express.json(), (req, res) => {
     }
 });
 
-// API endpoint to add words
-app.post('/api/add-word', (req, res) => {
-    const { word } = req.body;
+// Add a word to the list; shared by POST /api/words and the older /api/add-word
+function handleAddWord(req, res) {
+    const { word, category, decoy } = req.body;
     
-    if (!word || !word.trim()) {
-        return res.status(400).json({ error: 'Word is required' });
+    const error = validateWordField(word, 'Word') ||
+        (category !== undefined && category !== '' ? validateWordField(category, 'Category') : null) ||
+        (decoy !== undefined && decoy !== null && decoy !== '' ? validateDecoy(word, decoy) : null);
+    if (error) {
+        return res.status(400).json({ error });
     }
 
     const trimmedWord = word.trim();
+    const entry = { category: normalizeCategory(category), decoy: (decoy || '').trim() || null };
     
     // Check for duplicates (case-insensitive)
-    const existingWords = Array.from(wordList).map(w => w.toLowerCase());
-    if (existingWords.includes(trimmedWord.toLowerCase())) {
+    if (findWord(trimmedWord)) {
+        return res.status(409).json({ error: 'Word already in list' });
+    }
+
+    const words = new Map(wordList);
+    words.set(trimmedWord, entry);
+    try {
+        saveWords(words);
+    } catch (error) {
+        logger.error('Failed to save word list', { file: WORD_LIST_FILE, error });
+        return res.status(500).json({ error: 'Failed to save word list' });
+    }
+
+    res.status(201).json({ success: true, message: 'Word added successfully', word: { word: trimmedWord, ...entry } });
+}
+
+// API endpoint to list and search words
+app.get('/api/words', (req, res) => {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 200) {
+        return res.status(400).json({ error: 'page must be a positive integer and limit between 1 and 200' });
+    }
+
+    const search = typeof req.query.search === 'string' ? normalizeForComparison(req.query.search) : '';
+    const category = typeof req.query.category === 'string' && req.query.category ? normalizeCategory(req.query.category) : null;
+
+    // Decoys stay out of this public list: an undercover spy could look up their own word
+    // and see from its missing or mismatched decoy that they were dealt one
+    const matches = Array.from(wordList, ([word, entry]) => ({ word, category: entry.category }))
+        .filter(entry => !category || entry.category === category)
+        .filter(entry => !search || normalizeForComparison(entry.word).includes(search));
+
+    res.json({
+        words: matches.slice((page - 1) * limit, page * limit),
+        total: matches.length,
+        page,
+        limit,
+        pages: Math.ceil(matches.length / limit)
+    });
+});
+
+// API endpoint to add a word
+app.post('/api/words', limitWordWrites, handleAddWord);
+
+// API endpoint to rename a word and/or change its category or decoy (null or '' clears the decoy)
+app.put('/api/words/:word', limitWordWrites, requireAdmin, (req, res) => {
+    const existing = findWord(req.params.word);
+    if (!existing) {
+        return res.status(404).json({ error: 'Word not found' });
+    }
+
+    const { word, category, decoy } = req.body;
+    const newWord = typeof word === 'string' ? word.trim() : existing;
+    const error = (word !== undefined ? validateWordField(word, 'Word') : null) ||
+        (category !== undefined ? validateWordField(category, 'Category') : null) ||
+        (decoy !== undefined && decoy !== null && decoy !== '' ? validateDecoy(newWord, decoy) : null);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const current = wordList.get(existing);
+    const newEntry = {
+        category: category !== undefined ? normalizeCategory(category) : current.category,
+        decoy: decoy !== undefined ? (decoy || '').trim() || null : current.decoy
+    };
+    const clash = findWord(newWord);
+    if (clash && clash !== existing) {
         return res.status(409).json({ error: 'Word already in list' });
     }
 
-    // Add to memory
-    wordList.add(trimmedWord);
+    // Rebuild the map so a renamed word keeps its place in the file
+    const words = new Map();
+    wordList.forEach((entry, listWord) => {
+        if (listWord === existing) {
+            words.set(newWord, newEntry);
+        } else {
+            words.set(listWord, entry);
+        }
+    });
+    try {
+        saveWords(words);
+    } catch (error) {
+        logger.error('Failed to save word list', { file: WORD_LIST_FILE, error });
+        return res.status(500).json({ error: 'Failed to save word list' });
+    }
+
+    res.json({ success: true, word: { word: newWord, ...newEntry } });
+});
+
+// API endpoint to delete a word
+app.delete('/api/words/:word', limitWordWrites, requireAdmin, (req, res) => {
+    const existing = findWord(req.params.word);
+    if (!existing) {
+        return res.status(404).json({ error: 'Word not found' });
+    }
+
+    const words = new Map(wordList);
+    words.delete(existing);
+    try {
+        saveWords(words);
+    } catch (error) {
+        logger.error('Failed to save word list', { file: WORD_LIST_FILE, error });
+        return res.status(500).json({ error: 'Failed to save word list' });
+    }
+
+    res.json({ success: true, message: 'Word deleted successfully' });
+});
 
-    // Append to CSV file
-    fs.appendFileSync('word_list.csv', `\n${trimmedWord},`);
+// API endpoint to add words (kept for older clients; same as POST /api/words)
+app.post('/api/add-word', limitWordWrites, handleAddWord);
 
-    res.json({ success: true, message: 'Word added successfully' });
+// API endpoint listing word categories for the host setup form
+app.get('/api/categories', (req, res) => {
+    res.json({ categories: getCategories() });
 });
 
 // API endpoint to generate QR code
+// One CSV line; fields are quoted when needed, and text that a spreadsheet would run as a formula is defused
+function toCsvRow(values) {
+    return values.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+// Round history as CSV, one line per round; lists inside a field are separated by semicolons
+function historyToCsv(history) {
+    const time = timestamp => (timestamp ? new Date(timestamp).toISOString() : '');
+    const header = ['round', 'started_at', 'ended_at', 'mode', 'word', 'decoy_word', 'players', 'spies', 'votes',
+        'accused', 'spy_caught', 'spy_guess', 'spy_guess_correct', 'winner', 'awards'];
+    const rows = history.map(round => [
+        round.round,
+        time(round.startedAt),
+        time(round.endedAt),
+        round.mode,
+        round.word,
+        round.decoyWord,
+        round.players.map(player => `${player.nickname} (${player.score})`).join('; '),
+        round.spies.join('; '),
+        round.votes.map(vote => `${vote.voter} > ${vote.accused}`).join('; '),
+        round.accused,
+        round.spyCaught,
+        round.spyGuess ? round.spyGuess.guess : '',
+        round.spyGuess ? round.spyGuess.correct : '',
+        round.winner,
+        round.awards.map(award => `${award.nickname} +${award.points}`).join('; ')
+    ]);
+    return [header, ...rows].map(toCsvRow).join('\r\n') + '\r\n';
+}
+
+// Finished rounds of a session. ?format=csv for CSV, ?download=1 to save it as a file.
+// Only finished rounds are listed, so nothing here is still secret to the players.
+app.get('/api/sessions/:sessionId/history', (req, res) => {
+    const { sessionId } = req.params;
+    const session = gameSessions.get(sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'Format must be json or csv' });
+    }
+
+    if (req.query.download) {
+        res.attachment(`spy-word-${sessionId}-history.${format}`);
+    }
+    if (format === 'csv') {
+        // The byte order mark makes spreadsheet apps read the (often Persian) text as UTF-8
+        return res.type('text/csv').send('\uFEFF' + historyToCsv(session.history));
+    }
+    res.json({ sessionId, rounds: session.history });
+});
+
+// Prometheus text exposition of the counters above and the live gauges
+function renderMetrics() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([labels, value]) => {
+            const labelText = Object.entries(labels).map(([key, label]) => `${key}="${label}"`).join(',');
+            lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+        });
+    };
+
+    const phases = new Map(['lobby', 'game', 'voting', 'spyGuess', 'ended'].map(phase => [phase, 0]));
+    gameSessions.forEach(session => phases.set(session.phase, (phases.get(session.phase) || 0) + 1));
+    let sseConnections = 0;
+    sseClients.forEach(clients => {
+        sseConnections += clients.size;
+    });
+
+    metric('spyword_sessions', 'gauge', 'Active game sessions by phase',
+        Array.from(phases, ([phase, count]) => [{ phase }, count]));
+    metric('spyword_sockets_connected', 'gauge', 'Connected Socket.io clients', [[{}, io.engine.clientsCount]]);
+    metric('spyword_sse_clients', 'gauge', 'Open Server-Sent Events streams', [[{}, sseConnections]]);
+    metric('spyword_words', 'gauge', 'Words in the word list', [[{}, wordList.size]]);
+    metric('spyword_rounds_started_total', 'counter', 'Rounds started (first rounds and new rounds)', [[{}, metrics.roundsStarted]]);
+    metric('spyword_games_aborted_total', 'counter', 'Sessions aborted, by cause',
+        Array.from(metrics.gamesAborted, ([cause, count]) => [{ cause }, count]));
+    metric('spyword_host_disconnects_total', 'counter', 'Host page disconnects', [[{}, metrics.hostDisconnects]]);
+    metric('spyword_join_failures_total', 'counter', 'Rejected joinSession attempts, by reason',
+        Array.from(metrics.joinFailures, ([reason, count]) => [{ reason }, count]));
+    return lines.join('\n') + '\n';
+}
+
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Server-wide connection counts
+app.get('/api/admin/stats', requireAdmin, (req, res) => {
+    let sseConnections = 0;
+    sseClients.forEach(clients => {
+        sseConnections += clients.size;
+    });
+
+    res.json({
+        uptimeSeconds: Math.floor(process.uptime()),
+        memoryBytes: process.memoryUsage().rss,
+        sessions: gameSessions.size,
+        sockets: io.engine.clientsCount,
+        sseClients: sseConnections
+    });
+});
+
+// Every live session, oldest first, with the sockets and SSE streams attached to it
+app.get('/api/admin/sessions', requireAdmin, (req, res) => {
+    const now = Date.now();
+    const sessions = Array.from(gameSessions.values(), session => {
+        const room = io.sockets.adapter.rooms.get(session.sessionId);
+        const streams = sseClients.get(session.sessionId);
+        return {
+            ...session.getAdminSummary(now),
+            sockets: room ? room.size : 0,
+            sseClients: streams ? streams.size : 0
+        };
+    }).sort((a, b) => a.createdAt - b.createdAt);
+
+    res.json({ sessions });
+});
+
+// Force-close a session; everyone in it gets the usual gameAborted
+app.delete('/api/admin/sessions/:sessionId', requireAdmin, (req, res) => {
+    const session = gameSessions.get(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+
+    abortSession(session, 'The session was closed by an administrator', 'admin');
+    res.json({ success: true });
+});
+
 app.get('/api/qr/:sessionId', async (req, res) => {
     try {
         const sessionId = req.params.sessionId;
@@ -353,64 +2262,227 @@ app.get('/api/qr/:sessionId', async (req, res) => {
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
+    logger.debug('Socket connected', { socketId: socket.id });
+    const clientIp = getSocketIp(socket);
+    let joinedAsHost = false; // Set once this socket is a host page, not just the page that created the session
+
+    // Every event, keep-alives included, counts against the socket's budget; excess events are dropped
+    socket.use((packet, next) => {
+        if (rateLimiters.socketEvents.consume(socket.id)) {
+            return next();
+        }
+        socket.emit('error', 'Too many requests, please slow down');
+    });
+
+    // Any event that names a session counts as activity for the idle sweeper
+    socket.use(([event, data], next) => {
+        const session = data && gameSessions.get(data.sessionId);
+        if (session) {
+            session.touch();
+        }
+        next();
+    });
 
     socket.on('createSession', (data) => {
-        const { duration } = data;
+        const { duration, allowSpyGuess, points, categories, spyCount, spyRatio, mode, turnSeconds, hostPlays, hostNickname } = data;
+
+        // A client caught guessing session IDs gets no new sessions either until the lockout ends
+        const lockoutError = getJoinLockoutError(clientIp);
+        if (lockoutError) {
+            socket.emit('error', lockoutError);
+            return;
+        }
+        if (!rateLimiters.sessions.consume(clientIp)) {
+            socket.emit('error', 'Too many sessions created from your network, please try again later');
+            return;
+        }
         
         if (!duration || duration < 5 || duration > 60) {
             socket.emit('error', 'Game duration must be between 5 and 60 minutes');
             return;
         }
 
+        const customPoints = {};
+        for (const [key, value] of Object.entries(points || {})) {
+            if (!(key in DEFAULT_POINTS)) {
+                continue;
+            }
+            if (!Number.isInteger(value) || value < 0 || value > 100) {
+                socket.emit('error', 'Points must be whole numbers between 0 and 100');
+                return;
+            }
+            customPoints[key] = value;
+        }
+
+        if (categories !== undefined && (!Array.isArray(categories) || categories.some(category => typeof category !== 'string'))) {
+            socket.emit('error', 'Categories must be a list of names');
+            return;
+        }
+        const knownCategories = new Set(Array.from(wordList.values(), entry => entry.category));
+        const selectedCategories = [...new Set((categories || []).map(normalizeCategory))];
+        const unknownCategory = selectedCategories.find(category => !knownCategories.has(category));
+        if (unknownCategory) {
+            socket.emit('error', `Unknown word category: ${unknownCategory}`);
+            return;
+        }
+
+        // Either a fixed number of spies or a ratio; it is checked against the player count at startGame
+        if (spyCount != null && spyRatio != null) {
+            socket.emit('error', 'Choose either a spy count or a spy ratio, not both');
+            return;
+        }
+        if (spyCount != null && (!Number.isInteger(spyCount) || spyCount < 1 || spyCount > 20)) {
+            socket.emit('error', 'Spy count must be a whole number between 1 and 20');
+            return;
+        }
+        if (spyRatio != null && (typeof spyRatio !== 'number' || !(spyRatio > 0 && spyRatio < 0.5))) {
+            socket.emit('error', 'Spy ratio must be greater than 0 and less than 0.5');
+            return;
+        }
+
+        if (mode !== undefined && mode !== 'classic' && mode !== 'undercover') {
+            socket.emit('error', 'Game mode must be classic or undercover');
+            return;
+        }
+        const hasPairs = Array.from(wordList.values()).some(entry =>
+            entry.decoy && (selectedCategories.length === 0 || selectedCategories.includes(entry.category)));
+        if (mode === 'undercover' && !hasPairs) {
+            socket.emit('error', 'No word pairs available for undercover mode in the selected categories');
+            return;
+        }
+
+        if (turnSeconds && (!Number.isInteger(turnSeconds) || turnSeconds < 10 || turnSeconds > 120)) {
+            socket.emit('error', 'Turn length must be between 10 and 120 seconds');
+            return;
+        }
+
+        const hostNicknameError = hostPlays && NicknameUtils.validate(hostNickname);
+        if (hostNicknameError) {
+            socket.emit('error', hostNicknameError);
+            return;
+        }
+
         const sessionId = generateSessionId();
-        const session = new GameSession(sessionId, duration, socket.id);
+        const session = new GameSession(sessionId, duration, socket.id, {
+            allowSpyGuess: allowSpyGuess !== false,
+            points: customPoints,
+            categories: selectedCategories,
+            spyCount,
+            spyRatio,
+            mode,
+            turnSeconds
+        });
         gameSessions.set(sessionId, session);
 
+        // The host takes a seat too; it follows them to the host page's socket
+        if (hostPlays) {
+            session.addPlayer(socket.id, hostNickname);
+        }
+
         socket.join(sessionId);
-        socket.emit('sessionCreated', { sessionId });
+        socket.emit('sessionCreated', { sessionId, hostToken: session.hostToken });
+        startLobbyTimer(session, LOBBY_DURATION_SECONDS);
 
-        console.log(`Session ${sessionId} created with ${duration} minutes duration`);
+        logger.info('Session created', { sessionId, socketId: socket.id, duration, mode: session.mode, hostPlays: Boolean(hostPlays) });
     });
 
-    socket.on('joinSession', (data) => {
-        const { sessionId, nickname } = data;
-        
-        if (!sessionId || !nickname) {
-            socket.emit('error', 'Session ID and nickname are required');
+    socket.on('joinSession', (data) => {
+        const { sessionId, nickname, playerToken, spectate } = data;
+        
+        if (!sessionId || (!nickname && !playerToken)) {
+            rejectJoin(socket, 'missing_nickname', 'Session ID and nickname are required');
+            return;
+        }
+
+        const lockoutError = getJoinLockoutError(clientIp);
+        if (lockoutError) {
+            rejectJoin(socket, 'locked_out', lockoutError);
             return;
         }
 
         const session = gameSessions.get(sessionId);
         if (!session) {
-            socket.emit('error', 'Session not found');
+            // Session IDs are short, so repeated misses from one IP are treated as guessing.
+            // Every miss counts, token or not (the token is the client's word); phones stop
+            // rejoining after their first "Session not found", so a lost session costs one miss each.
+            rateLimiters.joinFailures.consume(clientIp);
+            rejectJoin(socket, 'session_not_found', 'Session not found');
+            return;
+        }
+
+        if (session.isBanned(nickname, playerToken)) {
+            rejectJoin(socket, 'banned', 'You have been banned from this session');
             return;
         }
 
         try {
-            session.addPlayer(socket.id, nickname);
+            // A known token rebinds this socket to the existing player or spectator, even after registration closed
+            let player = session.reconnectPlayer(playerToken, socket.id);
+            let spectator = player ? null : session.reconnectSpectator(playerToken, socket.id);
+            const rejoined = Boolean(player || spectator);
+
+            if (!rejoined) {
+                if (!nickname) {
+                    rejectJoin(socket, 'missing_nickname', 'Session ID and nickname are required');
+                    return;
+                }
+                if (spectate) {
+                    spectator = session.addSpectator(socket.id, nickname);
+                } else {
+                    player = session.addPlayer(socket.id, nickname);
+                }
+            }
+
             socket.join(sessionId);
-            
-            socket.emit('joinedSession', { 
-                sessionId, 
-                nickname,
-                phase: session.phase 
-            });
+
+            if (spectator) {
+                socket.join(spectatorRoom(sessionId));
+                socket.emit('joinedSession', {
+                    sessionId,
+                    nickname: spectator.nickname,
+                    phase: session.phase,
+                    playerId: spectator.id,
+                    playerToken: spectator.token,
+                    spectator: true
+                });
+                sendHostState(socket, session);
+            } else {
+                socket.emit('joinedSession', { 
+                    sessionId, 
+                    nickname: player.nickname,
+                    phase: session.phase,
+                    playerId: player.id,
+                    playerToken: player.token
+                });
+                sendGameState(socket, session, player);
+            }
+
+            // Anyone arriving while the host is away (or after a restart, before the host page is back)
+            // sees the same "host reconnecting" notice as those who were there when the host dropped
+            if (!session.hostConnected) {
+                socket.emit('hostDisconnected', {
+                    graceSeconds: HOST_RECONNECT_GRACE_SECONDS
+                });
+            }
 
             // Broadcast updated player list to all in session (including host)
-            io.to(sessionId).emit('playersUpdated', {
-                players: session.getPlayerList(),
-                count: session.players.size
+            io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
+
+            const member = player || spectator;
+            logger.info(`${spectator ? 'Spectator' : 'Player'} ${rejoined ? 'rejoined' : 'joined'}`, {
+                sessionId,
+                socketId: socket.id,
+                playerId: member.id,
+                nickname: member.nickname,
+                players: session.players.size
             });
-
-            console.log(`Player ${nickname} joined session ${sessionId} (${session.players.size} total players)`);
         } catch (error) {
-            socket.emit('error', error.message);
+            rejectJoin(socket, getJoinFailureReason(error.message), error.message);
         }
     });
 
     socket.on('joinSessionAsHost', (data) => {
-        const { sessionId } = data;
+        const { sessionId, hostToken } = data;
         const session = gameSessions.get(sessionId);
         
         if (!session) {
@@ -418,146 +2490,331 @@ io.on('connection', (socket) => {
             return;
         }
 
+        // Knowing the (public) session ID is not enough to take over as host
+        if (!tokensMatch(session.hostToken, hostToken)) {
+            socket.emit('error', 'Unauthorized: missing or invalid host credential');
+            return;
+        }
+
         // Update the host socket ID since they navigated to a new page
         session.host = socket.id;
+        joinedAsHost = true;
+        const hostPlayer = session.getHostPlayer();
+        if (hostPlayer) {
+            session.bindSocket(hostPlayer, socket.id);
+        }
+
+        // Cancel a pending teardown if the host came back within the grace window
+        const wasDisconnected = !session.hostConnected;
+        session.hostConnected = true;
+        if (session.hostGraceTimer) {
+            clearTimeout(session.hostGraceTimer);
+            session.hostGraceTimer = null;
+        }
         
         // Join the session room
         socket.join(sessionId);
+
+        if (wasDisconnected) {
+            socket.to(sessionId).emit('hostReconnected');
+        }
         
         // Send current session state to host
         socket.emit('hostJoinedSession', {
             sessionId,
             phase: session.phase,
             players: session.getPlayerList(),
-            playerCount: session.players.size
+            playerCount: session.players.size,
+            playerId: hostPlayer ? hostPlayer.id : null,
+            nickname: hostPlayer ? hostPlayer.nickname : null
         });
 
         // Send current player list to host
-        socket.emit('playersUpdated', {
-            players: session.getPlayerList(),
-            count: session.players.size
-        });
+        socket.emit('playersUpdated', getPlayersPayload(session));
 
-        console.log(`Host rejoined session ${sessionId} with new socket ${socket.id}`);
+        sendHostState(socket, session);
+        if (hostPlayer && session.phase !== 'lobby') {
+            emitRole(session, hostPlayer);
+        }
+
+        logger.info('Host rejoined', { sessionId, socketId: socket.id });
     });
 
 
 
     socket.on('startGame', (data) => {
         const { sessionId } = data;
-        const session = gameSessions.get(sessionId);
+        const session = getHostSession(socket, data);
         
-        if (!session || session.host !== socket.id) {
+        if (!session) {
             socket.emit('error', 'Unauthorized or session not found');
             return;
         }
 
-        if (session.players.size < 4) {
-            socket.emit('error', 'Minimum 4 players required');
+        // Only the first round starts here (later ones go through newRound); a repeat click
+        // would otherwise deal new roles under the running timers
+        if (session.phase !== 'lobby') {
+            socket.emit('error', 'Unauthorized or invalid session state');
             return;
         }
 
-        // Close registration
-        session.registrationOpen = false;
+        promoteSpectators(session);
+
+        if (session.players.size < MIN_PLAYERS) {
+            io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
+            socket.emit('error', `Minimum ${MIN_PLAYERS} players required`);
+            return;
+        }
 
         // Assign roles
-        session.selectSpies();
-        session.selectRandomWord();
+        try {
+            session.selectSpies();
+            session.selectRandomWord();
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        metrics.roundsStarted++;
+
+        // Close registration and stop the lobby countdown
+        if (session.lobbyTimer) clearTimeout(session.lobbyTimer);
+        session.lobbyTimer = null;
+        session.closeLobby();
         session.phase = 'game';
+        session.roundStartedAt = Date.now();
 
-        // Send roles to players
-        for (const [socketId, player] of session.players) {
-            const playerSocket = io.sockets.sockets.get(socketId);
-            if (playerSocket) {
-                if (session.spies.has(socketId)) {
-                    playerSocket.emit('roleAssigned', { role: 'spy' });
-                } else {
-                    playerSocket.emit('roleAssigned', { 
-                        role: 'civilian', 
-                        word: session.currentWord 
-                    });
-                }
-            }
+        // Send roles to players (disconnected players get theirs when they rejoin)
+        for (const player of session.players.values()) {
+            emitRole(session, player);
         }
 
         io.to(sessionId).emit('gameStarted', {
-            duration: session.duration * 60 // Convert to seconds
+            duration: session.duration * 60, // Convert to seconds
+            spyCount: session.spies.size
         });
+        io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
 
-        console.log(`Game started in session ${sessionId} with word: ${session.currentWord}`);
+        logger.info('Game started', { sessionId, players: session.players.size, word: session.currentWord, spies: session.getSpyNicknames() });
     });
 
-    socket.on('startTimer', (data) => {
+    socket.on('extendLobby', (data) => {
         const { sessionId } = data;
-        const session = gameSessions.get(sessionId);
-        
-        if (!session || session.host !== socket.id || session.phase !== 'game') {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'lobby') {
             socket.emit('error', 'Unauthorized or invalid session state');
             return;
         }
 
-        session.gameStartTime = Date.now();
-        const gameDuration = session.duration * 60 * 1000; // Convert to milliseconds
+        session.extendLobby(LOBBY_EXTENSION_SECONDS);
+        scheduleLobbyTimer(session);
 
-        // Start game timer
-        session.gameTimer = setTimeout(() => {
-            session.phase = 'ended';
-            
-            // Trigger alarm
-            io.to(sessionId).emit('gameEnded', {
-                spies: session.getSpyNicknames()
-            });
+        io.to(sessionId).emit('lobbyExtended', {
+            additionalTime: LOBBY_EXTENSION_SECONDS,
+            endsAt: session.lobbyEndsAt
+        });
+
+        logger.info('Lobby extended', { sessionId });
+    });
+
+    socket.on('startTimer', (data) => {
+        const { sessionId } = data;
+        const session = getHostSession(socket, data);
+        
+        if (!session || session.phase !== 'game') {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
 
-            console.log(`Game ended in session ${sessionId}`);
-        }, gameDuration);
+        // Start game timer; when it fires, discussion ends and voting begins
+        session.startGameTimer();
+        scheduleGameTimer(session);
 
         io.to(sessionId).emit('timerStarted', {
             duration: session.duration * 60,
-            startTime: session.gameStartTime
+            startTime: session.gameStartTime,
+            endsAt: session.gameEndsAt
         });
+
+        // Turn-based sessions go round the table in a random order
+        if (session.turnSeconds && session.startTurns()) {
+            startTurn(session);
+        }
+    });
+
+    socket.on('pauseTimer', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'game') {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
+
+        try {
+            session.pauseGameTimer();
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        clearTimeout(session.gameTimer);
+        session.gameTimer = null;
+        if (session.turnTimer) clearTimeout(session.turnTimer);
+        session.turnTimer = null;
+
+        emitTimerUpdate(session);
+        logger.info('Timer paused', { sessionId: session.sessionId });
+    });
+
+    socket.on('resumeTimer', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'game') {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
+
+        let turnRemaining;
+        try {
+            turnRemaining = session.resumeGameTimer();
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        scheduleGameTimer(session);
+        emitTimerUpdate(session);
+        if (turnRemaining !== null && session.turnIndex >= 0) {
+            startTurn(session, turnRemaining);
+        }
+        logger.info('Timer resumed', { sessionId: session.sessionId });
+    });
+
+    socket.on('adjustTimer', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'game') {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
+
+        const seconds = data.seconds;
+        if (!Number.isInteger(seconds) || seconds === 0 || Math.abs(seconds) > 600) {
+            socket.emit('error', 'Timer adjustment must be a whole number of seconds between -600 and 600');
+            return;
+        }
+
+        try {
+            session.adjustGameTimer(seconds);
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        if (!session.isTimerPaused()) {
+            scheduleGameTimer(session);
+        }
+        emitTimerUpdate(session);
+        logger.info('Timer adjusted', { sessionId: session.sessionId, seconds });
+    });
+
+    socket.on('skipTurn', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'game' || session.turnIndex < 0) {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
+        if (session.isTimerPaused()) {
+            socket.emit('error', 'Resume the timer first');
+            return;
+        }
+
+        if (session.advanceTurn()) {
+            startTurn(session);
+        }
+    });
+
+    socket.on('repeatTurn', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'game' || session.turnIndex < 0) {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
+
+        if (session.isTimerPaused()) {
+            socket.emit('error', 'Resume the timer first');
+            return;
+        }
+
+        // Same speaker, fresh countdown
+        startTurn(session);
     });
 
     socket.on('newRound', (data) => {
         const { sessionId } = data;
-        const session = gameSessions.get(sessionId);
+        const session = getHostSession(socket, data);
         
-        if (!session || session.host !== socket.id) {
-            socket.emit('error', 'Unauthorized or session not found');
+        // The first round goes through startGame, which checks the player count
+        if (!session || session.phase === 'lobby') {
+            socket.emit('error', 'Unauthorized or invalid session state');
             return;
         }
 
-        // Clear existing timer
+        // Spectators the host picked join in as players for this round
+        promoteSpectators(session);
+
+        // Pick new roles first, so an invalid setup leaves the current round alone
+        try {
+            session.selectSpies();
+            session.selectRandomWord();
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        metrics.roundsStarted++;
+
+        // Clear existing timers
         if (session.gameTimer) {
             clearTimeout(session.gameTimer);
         }
+        stopTurns(session);
+        if (session.votingTimer) {
+            clearTimeout(session.votingTimer);
+            session.votingTimer = null;
+        }
+        if (session.spyGuessTimer) {
+            clearTimeout(session.spyGuessTimer);
+            session.spyGuessTimer = null;
+        }
+        if (session.lobbyTimer) {
+            clearTimeout(session.lobbyTimer);
+            session.lobbyTimer = null;
+        }
 
         // Reset for new round
         session.phase = 'game';
-        session.selectSpies();
-        session.selectRandomWord();
+        session.roundStartedAt = Date.now();
+        session.votes.clear();
+        session.spyGuess = null;
+        session.roundResult = null;
         session.gameStartTime = null;
+        session.gameEndsAt = null;
+        session.pausedRemaining = null;
+        session.turnPausedRemaining = null;
         session.registrationOpen = false; // Keep registration closed for new rounds
 
         // Send new roles to players
-        console.log(`Sending roles to ${session.players.size} players in session ${sessionId}`);
-        for (const [socketId, player] of session.players) {
-            const playerSocket = io.sockets.sockets.get(socketId);
-            if (playerSocket) {
-                if (session.spies.has(socketId)) {
-                    console.log(`Assigning SPY role to ${player.nickname} (${socketId})`);
-                    playerSocket.emit('roleAssigned', { role: 'spy' });
-                } else {
-                    console.log(`Assigning CIVILIAN role to ${player.nickname} (${socketId}) with word: ${session.currentWord}`);
-                    playerSocket.emit('roleAssigned', { 
-                        role: 'civilian', 
-                        word: session.currentWord 
-                    });
-                }
+        for (const player of session.players.values()) {
+            const fields = { sessionId, playerId: player.id, nickname: player.nickname, role: session.spies.has(player.id) ? 'spy' : 'civilian' };
+            if (emitRole(session, player)) {
+                logger.debug('Role sent', { ...fields, socketId: player.socketId });
             } else {
-                console.log(`Warning: Player socket ${socketId} (${player.nickname}) not found - removing from session`);
-                // Remove disconnected players
-                session.players.delete(socketId);
-                session.spies.delete(socketId);
+                // Keep the player - their role is delivered when they rejoin with their token
+                logger.debug('Role held until the player reconnects', fields);
             }
         }
 
@@ -566,64 +2823,157 @@ io.on('connection', (socket) => {
         
         // Then emit game started to ensure proper UI state
         io.to(sessionId).emit('gameStarted', {
-            duration: session.duration * 60
+            duration: session.duration * 60,
+            spyCount: session.spies.size
         });
+        io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
         
-        console.log(`New round started in session ${sessionId} with word: ${session.currentWord}, spies: ${session.getSpyNicknames().join(', ')}`);
+        logger.info('New round started', { sessionId, word: session.currentWord, spies: session.getSpyNicknames() });
     });
 
-    socket.on('abortGame', (data) => {
-        const { sessionId } = data;
-        const session = gameSessions.get(sessionId);
-        
-        if (!session || session.host !== socket.id) {
+    socket.on('promoteSpectator', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session) {
+            socket.emit('error', 'Unauthorized or session not found');
+            return;
+        }
+
+        try {
+            session.setSpectatorPromotion(data.spectatorId, data.promote !== false);
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        io.to(session.sessionId).emit('playersUpdated', getPlayersPayload(session));
+    });
+
+    socket.on('kickPlayer', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session) {
             socket.emit('error', 'Unauthorized or session not found');
             return;
         }
 
-        // Clear game timer
-        if (session.gameTimer) clearTimeout(session.gameTimer);
+        try {
+            expelPlayer(session, data.playerId, false, 'You were removed from the game by the host');
+        } catch (error) {
+            socket.emit('error', error.message);
+        }
+    });
 
-        // Notify all players
-        io.to(sessionId).emit('gameAborted');
+    socket.on('banPlayer', (data) => {
+        const session = getHostSession(socket, data);
 
-        // Disconnect all players
-        for (const socketId of session.players.keys()) {
-            const playerSocket = io.sockets.sockets.get(socketId);
-            if (playerSocket) {
-                playerSocket.leave(sessionId);
-            }
+        if (!session) {
+            socket.emit('error', 'Unauthorized or session not found');
+            return;
         }
 
-        // Clean up session
-        gameSessions.delete(sessionId);
-        console.log(`Session ${sessionId} aborted`);
+        try {
+            expelPlayer(session, data.playerId, true, 'You were banned from this game by the host');
+        } catch (error) {
+            socket.emit('error', error.message);
+        }
+    });
+
+    socket.on('castVote', (data) => {
+        const { sessionId, targetId } = data;
+        const session = gameSessions.get(sessionId);
+        const player = session && session.getPlayerBySocket(socket.id);
+
+        if (!player) {
+            socket.emit('error', 'Session not found');
+            return;
+        }
+
+        try {
+            session.castVote(player.id, targetId);
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        socket.emit('voteAccepted', { targetId });
+        emitVoteUpdate(session);
+
+        if (session.hasEveryoneVoted()) {
+            finishVoting(session);
+        }
+    });
+
+    socket.on('spyGuess', (data) => {
+        const { sessionId, guess } = data;
+        const session = gameSessions.get(sessionId);
+        const player = session && session.getPlayerBySocket(socket.id);
+
+        if (!player) {
+            socket.emit('error', 'Session not found');
+            return;
+        }
+
+        try {
+            session.submitSpyGuess(player.id, guess);
+        } catch (error) {
+            socket.emit('error', error.message);
+            return;
+        }
+
+        logger.info('Spy guessed the word', { sessionId, spy: player.nickname });
+        endRound(session);
+    });
+
+    socket.on('endVoting', (data) => {
+        const session = getHostSession(socket, data);
+
+        if (!session || session.phase !== 'voting') {
+            socket.emit('error', 'Unauthorized or invalid session state');
+            return;
+        }
+
+        finishVoting(session);
+    });
+
+    socket.on('abortGame', (data) => {
+        const session = getHostSession(socket, data);
+        
+        if (!session) {
+            socket.emit('error', 'Unauthorized or session not found');
+            return;
+        }
+
+        abortSession(session, 'The game was aborted by the host', 'host');
     });
 
     socket.on('closeGame', (data) => {
         const { sessionId } = data;
-        const session = gameSessions.get(sessionId);
+        const session = getHostSession(socket, data);
         
-        if (!session || session.host !== socket.id) {
+        if (!session) {
             socket.emit('error', 'Unauthorized or session not found');
             return;
         }
 
-        // Clear game timer
-        if (session.gameTimer) clearTimeout(session.gameTimer);
+        clearSessionTimers(session);
 
         // Notify all players
         io.to(sessionId).emit('gameClosed');
+        closeSseClients(sessionId);
 
         // Clean up session
         gameSessions.delete(sessionId);
-        console.log(`Session ${sessionId} closed`);
+        logger.info('Session closed', { sessionId });
     });
 
-    // Handle mobile heartbeat ping/pong
-    socket.on('ping', () => {
-        // Respond to client ping with pong
-        socket.emit('pong');
+    // Handle mobile heartbeat ping/pong. Clients also use it as a clock-offset handshake:
+    // their send time is echoed back with the server time so they can estimate the offset.
+    socket.on('ping', (data) => {
+        socket.emit('pong', {
+            clientTime: data && data.clientTime,
+            serverTime: Date.now()
+        });
     });
     
     // Handle aggressive mobile keep-alive events
@@ -633,17 +2983,17 @@ io.on('connection', (socket) => {
     });
     
     socket.on('background-mode', (data) => {
-        console.log(`Socket ${socket.id} entered background mode`);
+        logger.debug('Socket entered background mode', { socketId: socket.id });
         // Send immediate acknowledgment
         socket.emit('background-ack', { timestamp: Date.now() });
     });
     
     socket.on('foreground-mode', (data) => {
-        console.log(`Socket ${socket.id} returned to foreground`);
+        logger.debug('Socket returned to foreground', { socketId: socket.id, sessionId: data.sessionId });
         // Send session status update
         const sessionId = data.sessionId;
         const session = gameSessions.get(sessionId);
-        if (session && session.players.has(socket.id)) {
+        if (session && session.getPlayerBySocket(socket.id)) {
             socket.emit('session-status', {
                 status: 'connected',
                 playerCount: session.players.size,
@@ -655,11 +3005,11 @@ io.on('connection', (socket) => {
     
     socket.on('window-blur', (data) => {
         // Track window blur for connection management
-        console.log(`Socket ${socket.id} window blurred`);
+        logger.debug('Socket window blurred', { socketId: socket.id });
     });
     
     socket.on('page-freeze', (data) => {
-        console.log(`Socket ${socket.id} page frozen`);
+        logger.debug('Socket page frozen', { socketId: socket.id });
     });
     
     socket.on('touch-keep-alive', (data) => {
@@ -667,27 +3017,54 @@ io.on('connection', (socket) => {
         socket.emit('touch-ack', { timestamp: Date.now() });
     });
 
+    socket.on('leaveSession', (data) => {
+        const { sessionId } = data;
+        const session = gameSessions.get(sessionId);
+        const player = session && (session.getPlayerBySocket(socket.id) || session.getSpectatorBySocket(socket.id));
+
+        if (!player) {
+            return;
+        }
+
+        // An explicit leave gives up the seat, unlike a dropped connection
+        session.removePlayer(player.id);
+        session.spectators.delete(player.id);
+        socket.leave(sessionId);
+        socket.leave(spectatorRoom(sessionId));
+
+        io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
+
+        logger.info('Player left', { sessionId, playerId: player.id, nickname: player.nickname });
+    });
+
     socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
+        logger.debug('Socket disconnected', { socketId: socket.id });
+        rateLimiters.socketEvents.reset(socket.id);
         
         // Find and clean up sessions where this socket was involved
         for (const [sessionId, session] of gameSessions) {
-            if (session.players.has(socket.id)) {
-                session.removePlayer(socket.id);
-                
-                // If host disconnected, abort the session
-                if (session.host === socket.id) {
-                    if (session.gameTimer) clearTimeout(session.gameTimer);
-                    
-                    io.to(sessionId).emit('gameAborted');
-                    gameSessions.delete(sessionId);
-                } else {
-                    // Update player list for remaining players
-                    io.to(sessionId).emit('playersUpdated', {
-                        players: session.getPlayerList(),
-                        count: session.players.size
-                    });
+            if (session.host === socket.id) {
+                session.disconnectPlayer(socket.id); // The host's own seat, if they play
+                if (joinedAsHost) {
+                    metrics.hostDisconnects++;
                 }
+                handleHostDisconnect(session, !joinedAsHost);
+                break;
+            }
+
+            const spectator = session.getSpectatorBySocket(socket.id);
+            if (spectator) {
+                spectator.socketId = null;
+                spectator.connected = false;
+                io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
+                break;
+            }
+
+            if (session.getPlayerBySocket(socket.id)) {
+                session.disconnectPlayer(socket.id);
+
+                // Update player list for remaining players
+                io.to(sessionId).emit('playersUpdated', getPlayersPayload(session));
                 break;
             }
         }
@@ -698,23 +3075,48 @@ io.on('connection', (socket) => {
 async function startServer() {
     try {
         await loadWords();
+        restoreSessions();
+        setInterval(saveSessions, SESSION_SNAPSHOT_INTERVAL_SECONDS * 1000);
+        setInterval(broadcastTimerSync, TIMER_SYNC_INTERVAL_SECONDS * 1000);
+        setInterval(sweepSessions, SESSION_SWEEP_INTERVAL_SECONDS * 1000);
+        setInterval(() => Object.values(rateLimiters).forEach(limiter => limiter.prune()), SESSION_SWEEP_INTERVAL_SECONDS * 1000);
         server.listen(PORT, () => {
-            console.log(`Spy Word Game server running on port ${PORT}`);
-            console.log(`Visit http://localhost:${PORT} to start a game`);
+            logger.info('Spy Word Game server running', { port: PORT, url: `http://localhost:${PORT}` });
         });
     } catch (error) {
-        console.error('Failed to start server:', error);
+        logger.error('Failed to start server', { error });
         process.exit(1);
     }
 }
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
+    logger.info('SIGTERM received, shutting down gracefully');
+    saveSessions();
     server.close(() => {
-        console.log('Server closed');
+        logger.info('Server closed');
         process.exit(0);
     });
 });
 
-startServer();
\ No newline at end of file
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = {
+    app,
+    server,
+    io,
+    gameSessions,
+    wordList,
+    loadWords,
+    GameSession,
+    RateLimiter,
+    rateLimiters,
+    metrics,
+    logger,
+    saveSessions,
+    restoreSessions,
+    sweepSessions,
+    startServer
+};
\ No newline at end of file
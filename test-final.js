@@ -24,7 +24,7 @@ async function testImplementation() {
         testsPassed++;
         
         // Test nickname validation
-        testNicknameValidation(sessionId);
+        testNicknameValidation(sessionId, data.hostToken);
     });
     
     host.on('error', (error) => {
@@ -32,7 +32,7 @@ async function testImplementation() {
     });
 }
 
-function testNicknameValidation(sessionId) {
+function testNicknameValidation(sessionId, hostToken) {
     console.log('\nTest 2: Testing duplicate nickname validation...');
     
     const serverUrl = 'http://localhost:3000';
@@ -61,7 +61,7 @@ function testNicknameValidation(sessionId) {
                 console.log('✅ Duplicate nickname correctly rejected!');
                 testsPassed++;
                 player2.disconnect();
-                testSpyPersistence(sessionId, player1);
+                testSpyPersistence(sessionId, hostToken, player1);
             } else {
                 console.log('❌ Wrong error message:', error);
             }
@@ -78,7 +78,7 @@ function testNicknameValidation(sessionId) {
     });
 }
 
-function testSpyPersistence(sessionId, player1) {
+function testSpyPersistence(sessionId, hostToken, player1) {
     console.log('\nTest 3: Testing spy nickname persistence...');
     
     const serverUrl = 'http://localhost:3000';
@@ -106,18 +106,18 @@ function testSpyPersistence(sessionId, player1) {
         const host = io(serverUrl, { forceNew: true });
         
         host.on('connect', () => {
-            host.emit('joinSessionAsHost', { sessionId });
+            host.emit('joinSessionAsHost', { sessionId, hostToken });
         });
         
         host.on('hostJoinedSession', () => {
             console.log('✅ Host joined session');
             
             // Start the game
-            host.emit('startGame', { sessionId });
+            host.emit('startGame', { sessionId, hostToken });
             
             // Start timer after a short delay
             setTimeout(() => {
-                host.emit('startTimer', { sessionId });
+                host.emit('startTimer', { sessionId, hostToken });
                 console.log('⏰ Timer started, waiting for game to end...');
             }, 1000);
         });
@@ -6,6 +6,7 @@ class GameTestSimulator {
         this.hostSocket = null;
         this.playerSockets = [];
         this.sessionId = null;
+        this.hostToken = null;
         this.serverUrl = 'http://localhost:3000';
     }
 
@@ -22,6 +23,7 @@ class GameTestSimulator {
 
             this.hostSocket.on('sessionCreated', (data) => {
                 this.sessionId = data.sessionId;
+                this.hostToken = data.hostToken;
                 console.log(`🎯 Session created: ${this.sessionId}`);
                 console.log(`🔗 Join URL: ${this.serverUrl}/join/${this.sessionId}`);
                 resolve(data.sessionId);
@@ -118,12 +120,12 @@ class GameTestSimulator {
         }
 
         console.log('🎮 Starting game...');
-        this.hostSocket.emit('startGame', { sessionId: this.sessionId });
+        this.hostSocket.emit('startGame', { sessionId: this.sessionId, hostToken: this.hostToken });
         
         await this.delay(1000);
         
         console.log('⏱️ Starting game timer...');
-        this.hostSocket.emit('startTimer', { sessionId: this.sessionId });
+        this.hostSocket.emit('startTimer', { sessionId: this.sessionId, hostToken: this.hostToken });
     }
 
     async runFullTest(gameDurationMinutes = 1) {
@@ -187,6 +189,7 @@ class GameTestSimulator {
         this.playerSockets = [];
         this.hostSocket = null;
         this.sessionId = null;
+        this.hostToken = null;
     }
 
     delay(ms) {